@@ -4,6 +4,8 @@ import User from "../models/user.model.js"
 import { ApiError } from "../utils/api-error.js"
 import { ApiResponse } from "../utils/api-response.js"
 import { sendEmail } from "../utils/email.js"
+import { mergeGuestCart } from "../utils/cart-merge.js"
+import { clearGuestCartToken } from "../middleware/guest-cart.middleware.js"
 
 // Register a new user
 export const register = async (req, res, next) => {
@@ -41,6 +43,10 @@ export const register = async (req, res, next) => {
     // Generate JWT token
     const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: "1d" })
 
+    // Move the guest cart over to the new account, a locked guest cart keeps its token
+    const cartMerge = await mergeGuestCart(user._id, req.guestSessionId)
+    if (cartMerge) clearGuestCartToken(res)
+
     // Remove sensitive data
     const userWithoutPassword = { ...user.toObject() }
     delete userWithoutPassword.password
@@ -48,7 +54,13 @@ export const register = async (req, res, next) => {
 
     return res
       .status(201)
-      .json(new ApiResponse(201, { user: userWithoutPassword, token }, "User registered successfully"))
+      .json(
+        new ApiResponse(
+          201,
+          { user: userWithoutPassword, token, ...(cartMerge && { cart: cartMerge }) },
+          "User registered successfully",
+        ),
+      )
   } catch (error) {
     next(error)
   }
@@ -83,6 +95,10 @@ export const login = async (req, res, next) => {
     // Generate JWT token
     const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: "1d" })
 
+    // Merge the cart built before signing in into the user's cart, a locked guest cart keeps its token
+    const cartMerge = await mergeGuestCart(user._id, req.guestSessionId)
+    if (cartMerge) clearGuestCartToken(res)
+
     // Remove sensitive data
     const userWithoutPassword = { ...user.toObject() }
     delete userWithoutPassword.password
@@ -90,7 +106,15 @@ export const login = async (req, res, next) => {
     delete userWithoutPassword.resetPasswordToken
     delete userWithoutPassword.resetPasswordExpires
 
-    return res.status(200).json(new ApiResponse(200, { user: userWithoutPassword, token }, "Login successful"))
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { user: userWithoutPassword, token, ...(cartMerge && { cart: cartMerge }) },
+          "Login successful",
+        ),
+      )
   } catch (error) {
     next(error)
   }
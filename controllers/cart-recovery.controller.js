@@ -0,0 +1,149 @@
+import Cart from "../models/cart.model.js"
+import User from "../models/user.model.js"
+import CartRecovery from "../models/cart-recovery.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { signGuestCartToken } from "../utils/guest-cart-token.js"
+import { setGuestCartToken } from "../middleware/guest-cart.middleware.js"
+
+// Find the abandonment a restore or unsubscribe link belongs to
+const findRecovery = async (token) => {
+  const recovery = await CartRecovery.findOne({ token })
+
+  if (!recovery) {
+    throw new ApiError(404, "This link is invalid or has expired")
+  }
+
+  return recovery
+}
+
+// Restore an abandoned cart from the link in a reminder email
+export const restoreCart = async (req, res, next) => {
+  try {
+    const recovery = await findRecovery(req.params.token)
+
+    const cart = await Cart.findById(recovery.cart)
+    if (!cart) {
+      throw new ApiError(404, "This cart is no longer available")
+    }
+
+    if (cart.user) {
+      // User carts are only ever restored for their owner
+      if (!req.user || req.user.id !== cart.user.toString()) {
+        throw new ApiError(401, "Log in to restore your cart")
+      }
+    } else {
+      // Hand the guest cart back to this browser
+      setGuestCartToken(res, signGuestCartToken(cart.sessionId))
+    }
+
+    const changes = await cart.revalidateItems()
+    await cart.recalculateTotals()
+    await cart.save()
+
+    if (!recovery.restoredAt) {
+      recovery.restoredAt = new Date()
+      await recovery.save()
+    }
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...cart.toJSON(), changes, promotionCode: recovery.promotionCode || null },
+          "Cart restored successfully",
+        ),
+      )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Stop abandoned cart emails for the address a reminder was sent to
+export const unsubscribeFromCartReminders = async (req, res, next) => {
+  try {
+    const recovery = await findRecovery(req.params.token)
+
+    await CartRecovery.updateMany({ email: recovery.email }, { optedOut: true })
+    await User.updateOne({ email: recovery.email }, { marketingOptOut: true })
+
+    return res.status(200).json(new ApiResponse(200, null, "You will no longer receive cart reminder emails"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get recovered vs. abandoned carts report (admin only)
+export const getCartRecoveryReport = async (req, res, next) => {
+  try {
+    const { from, to } = req.query
+
+    const match = {}
+    if (from || to) {
+      match.createdAt = {}
+      if (from) match.createdAt.$gte = new Date(from)
+      if (to) match.createdAt.$lte = new Date(to)
+    }
+
+    const [result] = await CartRecovery.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                abandoned: { $sum: 1 },
+                recovered: { $sum: { $cond: [{ $eq: ["$status", "recovered"] }, 1, 0] } },
+                restored: { $sum: { $cond: [{ $ifNull: ["$restoredAt", false] }, 1, 0] } },
+                optedOut: { $sum: { $cond: ["$optedOut", 1, 0] } },
+                abandonedValue: { $sum: "$cartTotal" },
+                recoveredRevenue: { $sum: { $ifNull: ["$recoveredTotal", 0] } },
+              },
+            },
+          ],
+          // Which email brought the cart back, the follow-up counts once it was sent
+          byStage: [
+            { $match: { status: "recovered" } },
+            {
+              $group: {
+                _id: { $cond: [{ $in: ["follow_up", "$reminders.stage"] }, "follow_up", "reminder"] },
+                recovered: { $sum: 1 },
+                revenue: { $sum: "$recoveredTotal" },
+              },
+            },
+            { $project: { _id: 0, stage: "$_id", recovered: 1, revenue: { $round: ["$revenue", 2] } } },
+          ],
+        },
+      },
+    ])
+
+    const totals = result.totals[0] || {
+      abandoned: 0,
+      recovered: 0,
+      restored: 0,
+      optedOut: 0,
+      abandonedValue: 0,
+      recoveredRevenue: 0,
+    }
+    delete totals._id
+
+    const report = {
+      ...totals,
+      abandonedValue: Math.round(totals.abandonedValue * 100) / 100,
+      recoveredRevenue: Math.round(totals.recoveredRevenue * 100) / 100,
+      recoveryRate: totals.abandoned > 0 ? Math.round((totals.recovered / totals.abandoned) * 10000) / 100 : 0,
+      byStage: result.byStage,
+    }
+
+    return res.status(200).json(new ApiResponse(200, report, "Cart recovery report retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,32 +1,117 @@
 import Cart from "../models/cart.model.js"
 import Product from "../models/product.model.js"
+import Promotion from "../models/promotion.model.js"
 import { ApiError } from "../utils/api-error.js"
 import { ApiResponse } from "../utils/api-response.js"
+import { countCustomerRedemptions } from "../utils/promotion-redemption.js"
+import { getGuestCartTtl } from "../utils/guest-cart-token.js"
+import { getShippingQuotes as quoteCartShipping } from "../utils/shipping.js"
+import { resolveCurrency } from "../utils/currency.js"
+
+// Identify the cart of the logged in user or of the guest cart token
+const getCartQuery = (req) => {
+  if (req.user) {
+    return { user: req.user.id }
+  }
+  if (req.guestSessionId) {
+    return { sessionId: req.guestSessionId }
+  }
+  throw new ApiError(401, "A guest cart token is required")
+}
+
+// Reject changes to the cart contents while a checkout holds them fixed
+const assertCartUnlocked = (cart) => {
+  if (cart.isLocked()) {
+    throw new ApiError(409, "This cart is locked by an active checkout, cancel the checkout to change it")
+  }
+}
+
+// Find the cart line for a product variant, either in the cart itself or in the saved list
+const findLine = (cart, productId, variantId, savedForLater) =>
+  cart.items.find(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      (item.variant?.toString() || null) === (variantId?.toString() || null) &&
+      Boolean(item.savedForLater) === savedForLater,
+  )
+
+// Move a saved line back into the cart after re-checking its stock and current price
+const moveToCart = async (cart, item) => {
+  const product = await Product.findById(item.product)
+  const purchasable =
+    product && product.status === "active" ? product.resolveVariant(item.variant, cart.getPricing()) : null
+  if (!purchasable) {
+    throw new ApiError(400, "This item is no longer available")
+  }
+
+  const existing = findLine(cart, item.product, item.variant, false)
+  const available = purchasable.stock - (existing ? existing.quantity : 0)
+  if (available <= 0) {
+    throw new ApiError(400, "This item is out of stock")
+  }
+
+  const changes = []
+  const quantity = Math.min(item.quantity, available)
+  if (quantity < item.quantity) {
+    changes.push({ item: item._id, type: "quantity_reduced", previousQuantity: item.quantity, quantity })
+  }
+  if (purchasable.price !== item.price) {
+    changes.push({ item: item._id, type: "price_changed", previousPrice: item.price, price: purchasable.price })
+  }
+
+  if (existing) {
+    existing.quantity += quantity
+    existing.price = purchasable.price
+    cart.items.pull(item._id)
+  } else {
+    item.savedForLater = false
+    item.availability = "available"
+    item.quantity = quantity
+    item.price = purchasable.price
+  }
 
-// Get cart
+  return changes
+}
+
+// Move a cart line to the saved list, merging it with a saved line for the same variant
+const moveToSaved = (cart, item) => {
+  const existing = findLine(cart, item.product, item.variant, true)
+
+  if (existing) {
+    existing.quantity += item.quantity
+    cart.items.pull(item._id)
+  } else {
+    item.savedForLater = true
+  }
+}
+
+// Get cart, re-validated against current prices and availability
 export const getCart = async (req, res, next) => {
   try {
-    let cart
-
-    if (req.user) {
-      // Logged in user
-      cart = await Cart.findOne({ user: req.user.id }).populate({
-        path: "items.product",
-        select: "name price images stock",
-      })
-    } else if (req.body.sessionId) {
-      // Guest user with session ID
-      cart = await Cart.findOne({ sessionId: req.body.sessionId }).populate({
-        path: "items.product",
-        select: "name price images stock",
-      })
-    }
+    const cart = await Cart.findOne(getCartQuery(req))
 
     if (!cart) {
       return res.status(200).json(new ApiResponse(200, { items: [], subtotal: 0, grandTotal: 0 }, "Cart is empty"))
     }
 
-    return res.status(200).json(new ApiResponse(200, cart, "Cart retrieved successfully"))
+    const changes = await cart.revalidateItems()
+
+    if (changes.length > 0) {
+      await cart.recalculateTotals()
+      await cart.save()
+    } else if (!req.user) {
+      // Viewing a guest cart counts as activity and keeps it from expiring
+      await Cart.updateOne({ _id: cart._id }, { expiresAt: new Date(Date.now() + getGuestCartTtl()) })
+    }
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { ...cart.toJSON(), changes }, "Cart retrieved successfully"))
   } catch (error) {
     next(error)
   }
@@ -35,7 +120,7 @@ export const getCart = async (req, res, next) => {
 // Add item to cart
 export const addToCart = async (req, res, next) => {
   try {
-    const { productId, variantId, quantity, sessionId } = req.body
+    const { productId, variantId, quantity } = req.body
 
     // Validate product
     const product = await Product.findById(productId)
@@ -43,52 +128,59 @@ export const addToCart = async (req, res, next) => {
       throw new ApiError(404, "Product not found")
     }
 
-    // Check stock
-    if (product.stock < quantity) {
-      throw new ApiError(400, "Not enough stock available")
+    // Products with variants must be bought as one of their variants
+    if (!variantId && product.variants.length > 0) {
+      throw new ApiError(400, "Please select a product variant")
     }
 
-    let cart
-    const query = {}
-
-    if (req.user) {
-      query.user = req.user.id
-    } else if (sessionId) {
-      query.sessionId = sessionId
-    } else {
-      throw new ApiError(400, "Session ID is required for guest cart")
+    if (product.status !== "active") {
+      throw new ApiError(400, "This product is not available")
     }
 
     // Find or create cart
-    cart = await Cart.findOne(query)
+    const query = getCartQuery(req)
+    let cart = await Cart.findOne(query)
 
     if (!cart) {
       cart = new Cart({
-        ...(req.user ? { user: req.user.id } : { sessionId }),
+        ...query,
         items: [],
       })
     }
 
-    // Check if product already in cart
-    const existingItemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId && (!variantId || item.variant?.toString() === variantId),
-    )
+    assertCartUnlocked(cart)
+
+    // Price the item in the cart's currency
+    const purchasable = product.resolveVariant(variantId, cart.getPricing())
+    if (!purchasable) {
+      throw new ApiError(404, "Product variant not found")
+    }
 
-    if (existingItemIndex > -1) {
-      // Update quantity if product already in cart
-      cart.items[existingItemIndex].quantity += quantity
+    // Check if product variant already in cart, ignoring the saved list
+    const existingItem = findLine(cart, productId, variantId, false)
+    const existingQuantity = existingItem ? existingItem.quantity : 0
+
+    // Check stock
+    if (purchasable.stock < existingQuantity + quantity) {
+      throw new ApiError(400, "Not enough stock available")
+    }
+
+    if (existingItem) {
+      // Update quantity and refresh price if product already in cart
+      existingItem.quantity += quantity
+      existingItem.price = purchasable.price
     } else {
       // Add new item to cart
       cart.items.push({
         product: productId,
         variant: variantId,
         quantity,
-        price: product.price,
+        price: purchasable.price,
       })
     }
 
     // Recalculate cart totals
-    cart.recalculateTotals()
+    await cart.recalculateTotals()
     await cart.save()
 
     // Populate product details
@@ -108,14 +200,7 @@ export const updateCartItem = async (req, res, next) => {
   try {
     const { itemId, quantity, savedForLater } = req.body
 
-    const query = {}
-    if (req.user) {
-      query.user = req.user.id
-    } else if (req.body.sessionId) {
-      query.sessionId = req.body.sessionId
-    } else {
-      throw new ApiError(400, "Session ID is required for guest cart")
-    }
+    const query = getCartQuery(req)
 
     const cart = await Cart.findOne(query)
 
@@ -123,36 +208,44 @@ export const updateCartItem = async (req, res, next) => {
       throw new ApiError(404, "Cart not found")
     }
 
+    assertCartUnlocked(cart)
+
     // Find the item in the cart
-    const itemIndex = cart.items.findIndex((item) => item._id.toString() === itemId)
+    const item = cart.items.id(itemId)
 
-    if (itemIndex === -1) {
+    if (!item) {
       throw new ApiError(404, "Item not found in cart")
     }
 
-    // Update quantity if provided
-    if (quantity !== undefined) {
-      if (quantity <= 0) {
-        // Remove item if quantity is 0 or negative
-        cart.items.splice(itemIndex, 1)
-      } else {
-        // Check stock
-        const product = await Product.findById(cart.items[itemIndex].product)
-        if (!product || product.stock < quantity) {
-          throw new ApiError(400, "Not enough stock available")
+    let changes = []
+
+    if (quantity !== undefined && quantity <= 0) {
+      // Remove item if quantity is 0 or negative
+      cart.items.pull(item._id)
+    } else {
+      // Update quantity if provided, saved items are only checked against stock when they return to the cart
+      if (quantity !== undefined) {
+        if (!item.savedForLater) {
+          const product = await Product.findById(item.product)
+          const purchasable = product ? product.resolveVariant(item.variant) : null
+          if (!purchasable || purchasable.stock < quantity) {
+            throw new ApiError(400, "Not enough stock available")
+          }
         }
 
-        cart.items[itemIndex].quantity = quantity
+        item.quantity = quantity
       }
-    }
 
-    // Update savedForLater if provided
-    if (savedForLater !== undefined) {
-      cart.items[itemIndex].savedForLater = savedForLater
+      // Move between the cart and the saved list if requested
+      if (savedForLater === true && !item.savedForLater) {
+        moveToSaved(cart, item)
+      } else if (savedForLater === false && item.savedForLater) {
+        changes = await moveToCart(cart, item)
+      }
     }
 
     // Recalculate cart totals
-    cart.recalculateTotals()
+    await cart.recalculateTotals()
     await cart.save()
 
     // Populate product details
@@ -161,7 +254,7 @@ export const updateCartItem = async (req, res, next) => {
       select: "name price images stock",
     })
 
-    return res.status(200).json(new ApiResponse(200, cart, "Cart updated successfully"))
+    return res.status(200).json(new ApiResponse(200, { ...cart.toJSON(), changes }, "Cart updated successfully"))
   } catch (error) {
     next(error)
   }
@@ -172,14 +265,7 @@ export const removeFromCart = async (req, res, next) => {
   try {
     const { itemId } = req.params
 
-    const query = {}
-    if (req.user) {
-      query.user = req.user.id
-    } else if (req.query.sessionId) {
-      query.sessionId = req.query.sessionId
-    } else {
-      throw new ApiError(400, "Session ID is required for guest cart")
-    }
+    const query = getCartQuery(req)
 
     const cart = await Cart.findOne(query)
 
@@ -187,11 +273,13 @@ export const removeFromCart = async (req, res, next) => {
       throw new ApiError(404, "Cart not found")
     }
 
+    assertCartUnlocked(cart)
+
     // Remove item from cart
     cart.items = cart.items.filter((item) => item._id.toString() !== itemId)
 
     // Recalculate cart totals
-    cart.recalculateTotals()
+    await cart.recalculateTotals()
     await cart.save()
 
     return res.status(200).json(new ApiResponse(200, cart, "Item removed from cart successfully"))
@@ -203,14 +291,7 @@ export const removeFromCart = async (req, res, next) => {
 // Clear cart
 export const clearCart = async (req, res, next) => {
   try {
-    const query = {}
-    if (req.user) {
-      query.user = req.user.id
-    } else if (req.query.sessionId) {
-      query.sessionId = req.query.sessionId
-    } else {
-      throw new ApiError(400, "Session ID is required for guest cart")
-    }
+    const query = getCartQuery(req)
 
     const cart = await Cart.findOne(query)
 
@@ -218,11 +299,16 @@ export const clearCart = async (req, res, next) => {
       throw new ApiError(404, "Cart not found")
     }
 
+    assertCartUnlocked(cart)
+
     cart.items = []
     cart.appliedCoupons = []
+    cart.discounts = []
     cart.subtotal = 0
     cart.discountTotal = 0
     cart.taxTotal = 0
+    cart.shippingTax = 0
+    cart.taxBreakdown = []
     cart.shippingTotal = 0
     cart.grandTotal = 0
 
@@ -233,3 +319,278 @@ export const clearCart = async (req, res, next) => {
     next(error)
   }
 }
+
+// Apply coupon to cart
+export const applyCoupon = async (req, res, next) => {
+  try {
+    const { code } = req.body
+
+    const query = getCartQuery(req)
+
+    const cart = await Cart.findOne(query)
+
+    if (!cart || cart.items.length === 0) {
+      throw new ApiError(400, "Cart is empty")
+    }
+
+    assertCartUnlocked(cart)
+
+    const promotion = await Promotion.findOne({ code: code.toUpperCase() })
+
+    if (!promotion) {
+      throw new ApiError(404, "Invalid coupon code")
+    }
+
+    if (cart.appliedCoupons.some((coupon) => coupon.toString() === promotion.id)) {
+      throw new ApiError(409, "This coupon has already been applied")
+    }
+
+    // Per-user limits can only be enforced for logged in users
+    if (promotion.usageLimit.perUser !== null) {
+      if (!req.user) {
+        throw new ApiError(401, "Please log in to use this coupon")
+      }
+
+      const timesUsed = await countCustomerRedemptions(promotion._id, { user: req.user._id, email: req.user.email })
+      if (timesUsed >= promotion.usageLimit.perUser) {
+        throw new ApiError(400, "You have reached the usage limit for this coupon")
+      }
+    }
+
+    cart.appliedCoupons.push(promotion._id)
+    await cart.recalculateTotals()
+
+    const discount = cart.discounts.find((item) => item.promotion.toString() === promotion.id)
+    if (!discount || !discount.eligible) {
+      throw new ApiError(400, discount?.reason || "This coupon cannot be applied to your cart")
+    }
+
+    await cart.save()
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res.status(200).json(new ApiResponse(200, cart, "Coupon applied successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Remove coupon from cart
+export const removeCoupon = async (req, res, next) => {
+  try {
+    const { code } = req.params
+
+    const query = getCartQuery(req)
+
+    const cart = await Cart.findOne(query)
+
+    if (!cart) {
+      throw new ApiError(404, "Cart not found")
+    }
+
+    assertCartUnlocked(cart)
+
+    const discount = cart.discounts.find((item) => item.code === code.toUpperCase())
+
+    if (!discount) {
+      throw new ApiError(404, "Coupon not applied to cart")
+    }
+
+    cart.appliedCoupons = cart.appliedCoupons.filter((coupon) => coupon.toString() !== discount.promotion.toString())
+    await cart.recalculateTotals()
+    await cart.save()
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res.status(200).json(new ApiResponse(200, cart, "Coupon removed successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get shipping quotes for the cart and an address
+export const getShippingQuotes = async (req, res, next) => {
+  try {
+    const { address } = req.body
+
+    const cart = await Cart.findOne(getCartQuery(req))
+
+    if (!cart || cart.items.every((item) => item.savedForLater)) {
+      throw new ApiError(400, "Cart is empty")
+    }
+
+    const quotes = await quoteCartShipping(cart, address)
+
+    return res.status(200).json(new ApiResponse(200, quotes, "Shipping quotes retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Acknowledge price changes so checkout can proceed
+export const acknowledgePriceChanges = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(getCartQuery(req))
+
+    if (!cart) {
+      throw new ApiError(404, "Cart not found")
+    }
+
+    cart.priceChanges = []
+    await cart.save()
+
+    return res.status(200).json(new ApiResponse(200, cart, "Price changes acknowledged"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get items saved for later
+export const getSavedItems = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(getCartQuery(req)).populate({
+      path: "items.product",
+      select: "name price images stock status",
+    })
+
+    const items = cart ? cart.items.filter((item) => item.savedForLater) : []
+
+    return res.status(200).json(new ApiResponse(200, items, "Saved items retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Move a cart item to the saved for later list
+export const saveItemForLater = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(getCartQuery(req))
+    const item = cart ? cart.items.id(req.params.itemId) : null
+
+    if (!item) {
+      throw new ApiError(404, "Item not found in cart")
+    }
+
+    if (item.savedForLater) {
+      throw new ApiError(400, "Item is already saved for later")
+    }
+
+    assertCartUnlocked(cart)
+
+    moveToSaved(cart, item)
+
+    await cart.recalculateTotals()
+    await cart.save()
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res.status(200).json(new ApiResponse(200, cart, "Item saved for later"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Move a saved item back into the cart
+export const moveItemToCart = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(getCartQuery(req))
+    const item = cart ? cart.items.id(req.params.itemId) : null
+
+    if (!item) {
+      throw new ApiError(404, "Item not found in cart")
+    }
+
+    if (!item.savedForLater) {
+      throw new ApiError(400, "Item is already in the cart")
+    }
+
+    assertCartUnlocked(cart)
+
+    const changes = await moveToCart(cart, item)
+
+    await cart.recalculateTotals()
+    await cart.save()
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res.status(200).json(new ApiResponse(200, { ...cart.toJSON(), changes }, "Item moved to cart"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Capture a guest's email address so an abandoned cart can be followed up
+export const setCartEmail = async (req, res, next) => {
+  try {
+    if (req.user) {
+      throw new ApiError(400, "Carts of logged in users use the account email")
+    }
+
+    let cart = await Cart.findOne(getCartQuery(req))
+    if (!cart) {
+      cart = new Cart({ sessionId: req.guestSessionId, items: [] })
+    }
+
+    cart.email = req.body.email
+    await cart.save()
+
+    return res.status(200).json(new ApiResponse(200, cart, "Cart email saved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Change the currency the cart is priced in, repricing every line
+export const setCartCurrency = async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne(getCartQuery(req))
+
+    if (!cart) {
+      throw new ApiError(404, "Cart not found")
+    }
+
+    assertCartUnlocked(cart)
+
+    const pricing = await resolveCurrency(req.body.currency)
+    cart.currency = pricing.currency
+    cart.exchangeRate = pricing.rate
+
+    // Shipping is quoted again in the new currency at checkout
+    cart.shippingTotal = 0
+
+    const changes = await cart.revalidateItems({ includeSaved: true })
+
+    // Prices moved because of the switch, not because the products changed, so there is nothing to acknowledge
+    cart.priceChanges = []
+
+    await cart.recalculateTotals()
+    await cart.save()
+
+    await cart.populate({
+      path: "items.product",
+      select: "name price images stock",
+    })
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { ...cart.toJSON(), changes: changes.filter((change) => change.type !== "price_changed") },
+        "Cart currency updated successfully",
+      ),
+    )
+  } catch (error) {
+    next(error)
+  }
+}
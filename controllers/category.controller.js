@@ -0,0 +1,292 @@
+import mongoose from "mongoose"
+import Category from "../models/category.model.js"
+import Product from "../models/product.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { generateUniqueSlug } from "../utils/slugify.js"
+
+// Get the ids of every category below the given one
+const getDescendantIds = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+    { $project: { descendants: "$descendants._id" } },
+  ])
+
+  return result ? result.descendants : []
+}
+
+// Get the ancestors of a category ordered from the root down
+const getAncestors = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$parent",
+        connectFromField: "parent",
+        connectToField: "_id",
+        as: "ancestors",
+      },
+    },
+    { $project: { "ancestors._id": 1, "ancestors.name": 1, "ancestors.slug": 1, "ancestors.level": 1 } },
+  ])
+
+  return result ? result.ancestors.sort((a, b) => a.level - b.level) : []
+}
+
+// Get all categories with filtering
+export const getCategories = async (req, res, next) => {
+  try {
+    const { parent, level, isActive } = req.query
+
+    const query = {}
+    if (parent !== undefined) query.parent = parent === "null" ? null : parent
+    if (level) query.level = Number(level)
+    if (isActive !== undefined) query.isActive = isActive === "true"
+
+    const categories = await Category.find(query).sort({ level: 1, name: 1 })
+
+    return res.status(200).json(new ApiResponse(200, categories, "Categories retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get categories as a nested tree
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const { includeInactive } = req.query
+
+    const query = includeInactive === "true" ? {} : { isActive: true }
+    const categories = await Category.find(query).sort({ level: 1, name: 1 }).lean()
+
+    // Index categories by id so children can be attached to their parent
+    const nodes = new Map(categories.map((category) => [category._id.toString(), { ...category, children: [] }]))
+    const tree = []
+
+    for (const node of nodes.values()) {
+      const parent = node.parent ? nodes.get(node.parent.toString()) : null
+      if (parent) {
+        parent.children.push(node)
+      } else if (!node.parent) {
+        tree.push(node)
+      }
+    }
+
+    return res.status(200).json(new ApiResponse(200, tree, "Category tree retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get category by ID
+export const getCategoryById = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id).populate("subcategories", "name slug level isActive")
+
+    if (!category) {
+      throw new ApiError(404, "Category not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, category, "Category retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get category by slug
+export const getCategoryBySlug = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).populate(
+      "subcategories",
+      "name slug level isActive",
+    )
+
+    if (!category) {
+      throw new ApiError(404, "Category not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, category, "Category retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get breadcrumbs from the root down to a category
+export const getCategoryBreadcrumbs = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id).select("name slug level")
+
+    if (!category) {
+      throw new ApiError(404, "Category not found")
+    }
+
+    const ancestors = await getAncestors(category._id)
+    const breadcrumbs = [...ancestors, category].map(({ _id, name, slug, level }) => ({ _id, name, slug, level }))
+
+    return res.status(200).json(new ApiResponse(200, breadcrumbs, "Breadcrumbs retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create new category
+export const createCategory = async (req, res, next) => {
+  try {
+    const { parent, slug, ...data } = req.body
+
+    let level = 1
+    if (parent) {
+      const parentCategory = await Category.findById(parent)
+      if (!parentCategory) {
+        throw new ApiError(404, "Parent category not found")
+      }
+      level = parentCategory.level + 1
+    }
+
+    const category = new Category({
+      ...data,
+      parent: parent || null,
+      level,
+      slug: slug || (await generateUniqueSlug(Category, data.name)),
+    })
+    await category.save()
+
+    return res.status(201).json(new ApiResponse(201, category, "Category created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update category
+export const updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
+
+    if (!category) {
+      throw new ApiError(404, "Category not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, category, "Category updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Move a category and its subtree under a new parent
+export const moveCategory = async (req, res, next) => {
+  try {
+    const { parent } = req.body
+
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      throw new ApiError(404, "Category not found")
+    }
+
+    const descendantIds = await getDescendantIds(category._id)
+
+    let level = 1
+    if (parent) {
+      if (parent === category.id || descendantIds.some((id) => id.toString() === parent)) {
+        throw new ApiError(400, "A category cannot be moved under itself or one of its subcategories")
+      }
+
+      const parentCategory = await Category.findById(parent)
+      if (!parentCategory) {
+        throw new ApiError(404, "Parent category not found")
+      }
+      level = parentCategory.level + 1
+    }
+
+    const levelDelta = level - category.level
+
+    category.parent = parent || null
+    category.level = level
+    await category.save()
+
+    // Shift every descendant by the same number of levels
+    if (levelDelta !== 0 && descendantIds.length > 0) {
+      await Category.updateMany({ _id: { $in: descendantIds } }, { $inc: { level: levelDelta } })
+    }
+
+    return res.status(200).json(new ApiResponse(200, category, "Category moved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete category
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { strategy, reassignTo } = req.query
+
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      throw new ApiError(404, "Category not found")
+    }
+
+    const childCount = await Category.countDocuments({ parent: category._id })
+    const productCount = await Product.countDocuments({
+      $or: [{ category: category._id }, { subcategory: category._id }],
+    })
+
+    if ((childCount > 0 || productCount > 0) && !["reassign", "cascade"].includes(strategy)) {
+      throw new ApiError(409, "Category has subcategories or products", [
+        { field: "subcategories", message: `${childCount} subcategories` },
+        { field: "products", message: `${productCount} products` },
+      ])
+    }
+
+    if (strategy === "reassign" && (childCount > 0 || productCount > 0)) {
+      // Default to the category's own parent when no target is given
+      const targetId = reassignTo || category.parent
+      if (!targetId) {
+        throw new ApiError(400, "A reassignment target is required for a top-level category")
+      }
+
+      const descendantIds = await getDescendantIds(category._id)
+      if (targetId.toString() === category.id || descendantIds.some((id) => id.toString() === targetId.toString())) {
+        throw new ApiError(400, "Cannot reassign to the category being deleted or one of its subcategories")
+      }
+
+      const target = await Category.findById(targetId)
+      if (!target) {
+        throw new ApiError(404, "Reassignment target category not found")
+      }
+
+      // Re-parent direct children and shift their subtrees to the new depth
+      const levelDelta = target.level + 1 - (category.level + 1)
+      await Category.updateMany({ parent: category._id }, { parent: target._id })
+      if (levelDelta !== 0 && descendantIds.length > 0) {
+        await Category.updateMany({ _id: { $in: descendantIds } }, { $inc: { level: levelDelta } })
+      }
+
+      await Product.updateMany({ category: category._id }, { category: target._id })
+      await Product.updateMany({ subcategory: category._id }, { subcategory: target._id })
+    }
+
+    if (strategy === "cascade") {
+      const categoryIds = [category._id, ...(await getDescendantIds(category._id))]
+
+      await Product.deleteMany({ $or: [{ category: { $in: categoryIds } }, { subcategory: { $in: categoryIds } }] })
+      await Category.deleteMany({ _id: { $in: categoryIds } })
+    } else {
+      await category.deleteOne()
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Category deleted successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,288 @@
+import Cart from "../models/cart.model.js"
+import Checkout from "../models/checkout.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { quoteShippingMethod } from "../utils/shipping.js"
+import { assertCartReady, getCheckoutTtl, placeOrder, refreshCheckoutTotals } from "../utils/checkout.js"
+
+// Identify the checkouts of the logged in user or of the guest cart token
+const getOwnerQuery = (req) => {
+  if (req.user) {
+    return { user: req.user.id }
+  }
+  if (req.guestSessionId) {
+    return { sessionId: req.guestSessionId }
+  }
+  throw new ApiError(401, "A guest cart token is required for guest checkout")
+}
+
+// Find a checkout owned by the caller, marking it expired once its time is up
+const findCheckout = async (req) => {
+  const checkout = await Checkout.findOne({ _id: req.params.id, ...getOwnerQuery(req) })
+
+  if (!checkout) {
+    throw new ApiError(404, "Checkout not found")
+  }
+
+  if (checkout.status === "active" && !checkout.isOpen()) {
+    checkout.status = "expired"
+    await checkout.save()
+  }
+
+  return checkout
+}
+
+// Load an active checkout and its cart so a step can be changed
+const findOpenCheckout = async (req) => {
+  const checkout = await findCheckout(req)
+
+  if (checkout.status !== "active") {
+    throw new ApiError(409, `This checkout is ${checkout.status}`)
+  }
+
+  const cart = await Cart.findById(checkout.cart)
+  if (!cart) {
+    throw new ApiError(404, "Cart not found")
+  }
+
+  return { checkout, cart }
+}
+
+// Recalculate totals, extend the checkout and the lock on its cart, then save both
+const saveStep = async (checkout, cart) => {
+  await refreshCheckoutTotals(checkout, cart)
+
+  checkout.expiresAt = new Date(Date.now() + getCheckoutTtl())
+  cart.checkout = checkout._id
+  cart.lockedUntil = checkout.expiresAt
+
+  await cart.save()
+  await checkout.save()
+}
+
+// Checkout with the cart lines and coupons it is for
+const toResponse = (checkout, cart) => ({
+  ...checkout.toJSON(),
+  items: cart ? cart.getActiveItems() : [],
+  discounts: cart ? cart.discounts : [],
+})
+
+// Start a checkout from the cart, or resume the one already holding it
+export const createCheckout = async (req, res, next) => {
+  try {
+    const cartQuery = getOwnerQuery(req)
+    const cart = await Cart.findOne(cartQuery)
+
+    if (!cart || cart.items.length === 0) {
+      throw new ApiError(400, "Cart is empty")
+    }
+
+    if (cart.isLocked()) {
+      const existing = await Checkout.findOne({ _id: cart.checkout, status: "active" })
+      if (existing) {
+        await saveStep(existing, cart)
+        return res.status(200).json(new ApiResponse(200, toResponse(existing, cart), "Checkout resumed"))
+      }
+    }
+
+    // Checkouts left behind on this cart can no longer be completed
+    await Checkout.updateMany({ cart: cart._id, status: "active" }, { status: "expired" })
+    cart.checkout = undefined
+    cart.lockedUntil = undefined
+
+    await assertCartReady(cart, { acknowledgePriceChanges: req.body.acknowledgePriceChanges })
+
+    const checkout = new Checkout({
+      ...cartQuery,
+      cart: cart._id,
+      email: req.user ? req.user.email : cart.email,
+      expiresAt: new Date(Date.now() + getCheckoutTtl()),
+    })
+    await saveStep(checkout, cart)
+
+    return res.status(201).json(new ApiResponse(201, toResponse(checkout, cart), "Checkout started"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get checkout with up to date totals
+// The totals are only recalculated for the response, so reading a checkout never extends it or its cart lock
+export const getCheckout = async (req, res, next) => {
+  try {
+    const checkout = await findCheckout(req)
+    const cart = await Cart.findById(checkout.cart)
+
+    if (checkout.status === "active" && cart) {
+      await refreshCheckoutTotals(checkout, cart)
+    }
+
+    return res.status(200).json(new ApiResponse(200, toResponse(checkout, cart), "Checkout retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Set the contact email
+export const updateCheckoutContact = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    checkout.email = req.body.email
+    await saveStep(checkout, cart)
+
+    return res.status(200).json(new ApiResponse(200, toResponse(checkout, cart), "Contact details saved"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Set the shipping address, which also decides tax and which shipping methods are available
+export const updateCheckoutShippingAddress = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    checkout.shippingAddress = req.body.address
+    await saveStep(checkout, cart)
+
+    return res.status(200).json(new ApiResponse(200, toResponse(checkout, cart), "Shipping address saved"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Choose a shipping method that can deliver to the shipping address
+export const updateCheckoutShippingMethod = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    if (!checkout.shippingAddress?.country) {
+      throw new ApiError(400, "Add a shipping address before choosing a shipping method")
+    }
+
+    await cart.populate("items.product")
+    const quote = await quoteShippingMethod(cart, checkout.shippingAddress, req.body.code)
+
+    checkout.shippingMethod = { code: quote.method }
+    await saveStep(checkout, cart)
+
+    return res.status(200).json(new ApiResponse(200, toResponse(checkout, cart), "Shipping method saved"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Set the billing address, optionally copying the shipping address
+export const updateCheckoutBillingAddress = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    if (req.body.sameAsShipping) {
+      if (!checkout.shippingAddress?.country) {
+        throw new ApiError(400, "Add a shipping address before copying it to the billing address")
+      }
+      checkout.billingAddress = checkout.shippingAddress.toObject()
+    } else {
+      checkout.billingAddress = req.body.address
+    }
+    await saveStep(checkout, cart)
+
+    return res.status(200).json(new ApiResponse(200, toResponse(checkout, cart), "Billing address saved"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Choose the payment method
+export const updateCheckoutPayment = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    checkout.paymentMethod = req.body.method
+    if (req.body.notes !== undefined) {
+      checkout.notes = req.body.notes
+    }
+    await saveStep(checkout, cart)
+
+    return res.status(200).json(new ApiResponse(200, toResponse(checkout, cart), "Payment method saved"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Complete the checkout, placing the order for the locked cart
+export const completeCheckout = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    const requiredSteps = checkout.requiredSteps
+    if (requiredSteps.length > 0) {
+      throw new ApiError(
+        400,
+        "Checkout is missing required steps",
+        requiredSteps.map((step) => ({ field: step, message: `${step} is required` })),
+      )
+    }
+
+    // Claim the checkout first so concurrent requests cannot place the order twice
+    const claimed = await Checkout.findOneAndUpdate(
+      { _id: checkout._id, status: "active" },
+      { status: "completing" },
+      { new: true },
+    )
+    if (!claimed) {
+      throw new ApiError(409, "This checkout is already being completed")
+    }
+
+    let order
+    try {
+      await assertCartReady(cart, {
+        acknowledgePriceChanges: req.body.acknowledgePriceChanges,
+        checkout: checkout._id,
+      })
+
+      order = await placeOrder(cart, {
+        user: req.user,
+        email: checkout.email,
+        shippingAddress: checkout.shippingAddress.toObject(),
+        billingAddress: checkout.billingAddress.toObject(),
+        paymentMethod: checkout.paymentMethod,
+        shippingMethod: checkout.shippingMethod.code,
+        notes: checkout.notes,
+      })
+    } catch (error) {
+      // Give the checkout back so the shopper can fix the cart and try again
+      await Checkout.updateOne({ _id: checkout._id, status: "completing" }, { status: "active" })
+      throw error
+    }
+
+    checkout.status = "completed"
+    checkout.order = order._id
+    checkout.completedAt = new Date()
+    await checkout.save()
+
+    return res.status(201).json(new ApiResponse(201, order, "Order created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Cancel the checkout and unlock the cart
+export const cancelCheckout = async (req, res, next) => {
+  try {
+    const { checkout, cart } = await findOpenCheckout(req)
+
+    checkout.status = "cancelled"
+    await checkout.save()
+
+    if (cart.checkout?.toString() === checkout.id) {
+      cart.checkout = undefined
+      cart.lockedUntil = undefined
+      await cart.save()
+    }
+
+    return res.status(200).json(new ApiResponse(200, checkout, "Checkout cancelled"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,88 @@
+import ExchangeRate from "../models/exchange-rate.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { getBaseCurrency, getCurrencyDecimals } from "../utils/currency.js"
+
+// The base currency is the one rates convert from, so it never has a rate of its own
+const assertNotBaseCurrency = (currency) => {
+  if (currency && currency.toUpperCase() === getBaseCurrency()) {
+    throw new ApiError(400, `${getBaseCurrency()} is the base currency and does not need an exchange rate`)
+  }
+}
+
+// Get the base currency and the currencies shoppers can choose
+export const getCurrencies = async (req, res, next) => {
+  try {
+    const baseCurrency = getBaseCurrency()
+    const rates = await ExchangeRate.find({ isActive: true }).sort({ currency: 1 })
+
+    const currencies = [
+      { currency: baseCurrency, rate: 1, decimals: getCurrencyDecimals(baseCurrency) },
+      ...rates.map(({ currency, rate }) => ({ currency, rate, decimals: getCurrencyDecimals(currency) })),
+    ]
+
+    return res.status(200).json(new ApiResponse(200, { baseCurrency, currencies }, "Currencies retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get all exchange rates (admin only)
+export const getExchangeRates = async (req, res, next) => {
+  try {
+    const exchangeRates = await ExchangeRate.find().sort({ currency: 1 })
+
+    return res.status(200).json(new ApiResponse(200, exchangeRates, "Exchange rates retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create new exchange rate (admin only)
+export const createExchangeRate = async (req, res, next) => {
+  try {
+    assertNotBaseCurrency(req.body.currency)
+
+    const exchangeRate = new ExchangeRate(req.body)
+    await exchangeRate.save()
+
+    return res.status(201).json(new ApiResponse(201, exchangeRate, "Exchange rate created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update exchange rate (admin only)
+export const updateExchangeRate = async (req, res, next) => {
+  try {
+    assertNotBaseCurrency(req.body.currency)
+
+    const exchangeRate = await ExchangeRate.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!exchangeRate) {
+      throw new ApiError(404, "Exchange rate not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, exchangeRate, "Exchange rate updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete exchange rate (admin only)
+export const deleteExchangeRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id)
+
+    if (!exchangeRate) {
+      throw new ApiError(404, "Exchange rate not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Exchange rate deleted successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
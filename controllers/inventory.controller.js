@@ -0,0 +1,151 @@
+import Product from "../models/product.model.js"
+import InventoryMovement from "../models/inventory-movement.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { adjustStock, takeStock } from "../utils/inventory.js"
+
+// Adjust stock for a product or variant (admin only)
+export const createStockAdjustment = async (req, res, next) => {
+  try {
+    const { productId, variantId, delta, quantity, reason = "adjustment", note } = req.body
+
+    const product = await Product.findById(productId)
+    if (!product) {
+      throw new ApiError(404, "Product not found")
+    }
+
+    const purchasable = product.resolveVariant(variantId)
+    if (!purchasable) {
+      throw new ApiError(404, "Product variant not found")
+    }
+
+    // Either apply a relative change or set the stock to an absolute quantity
+    const change = delta !== undefined ? delta : quantity - purchasable.stock
+    if (change === 0) {
+      throw new ApiError(400, "Stock is already at the requested quantity")
+    }
+
+    const context = { reason, actor: req.user._id, note }
+
+    // Decrements are conditional so concurrent sales cannot push stock below zero
+    let updatedProduct
+    if (change < 0) {
+      const taken = await takeStock(product._id, variantId, -change, context)
+      if (!taken) {
+        throw new ApiError(400, "Stock cannot be adjusted below zero")
+      }
+      updatedProduct = await Product.findById(product._id)
+    } else {
+      updatedProduct = await adjustStock(product._id, variantId, change, context)
+    }
+
+    const { price, stock, sku } = updatedProduct.resolveVariant(variantId)
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { product: updatedProduct._id, variant: variantId || null, sku, price, stock, delta: change },
+          "Stock adjusted successfully",
+        ),
+      )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get inventory movements (admin only)
+export const getInventoryMovements = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, product, variant, reason, order } = req.query
+
+    const query = {}
+    if (product) query.product = product
+    if (variant) query.variant = variant
+    if (reason) query.reason = reason
+    if (order) query.order = order
+
+    const total = await InventoryMovement.countDocuments(query)
+
+    const movements = await InventoryMovement.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit))
+      .populate("product", "name sku")
+      .populate("actor", "firstName lastName email")
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          movements,
+          pagination: {
+            total,
+            page: Number(page),
+            limit: Number(limit),
+            pages: Math.ceil(total / Number(limit)),
+          },
+        },
+        "Inventory movements retrieved successfully",
+      ),
+    )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get products and variants at or below their low-stock threshold (admin only)
+export const getLowStockReport = async (req, res, next) => {
+  try {
+    const items = await Product.aggregate([
+      { $match: { status: { $ne: "archived" } } },
+      {
+        // Products with variants are tracked per variant, others on the product itself
+        $project: {
+          name: 1,
+          lowStockThreshold: 1,
+          lines: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+              {
+                $map: {
+                  input: "$variants",
+                  as: "variant",
+                  in: {
+                    variant: "$$variant._id",
+                    sku: "$$variant.sku",
+                    size: "$$variant.size",
+                    color: "$$variant.color",
+                    stock: "$$variant.stock",
+                  },
+                },
+              },
+              [{ variant: null, sku: "$sku", stock: "$stock" }],
+            ],
+          },
+        },
+      },
+      { $unwind: "$lines" },
+      { $match: { $expr: { $lte: ["$lines.stock", { $ifNull: ["$lowStockThreshold", 5] }] } } },
+      {
+        $project: {
+          _id: 0,
+          product: "$_id",
+          name: 1,
+          lowStockThreshold: 1,
+          variant: "$lines.variant",
+          sku: "$lines.sku",
+          size: "$lines.size",
+          color: "$lines.color",
+          stock: "$lines.stock",
+        },
+      },
+      { $sort: { stock: 1, name: 1 } },
+    ])
+
+    return res.status(200).json(new ApiResponse(200, items, "Low stock report retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,103 @@
+import Order from "../models/order.model.js"
+import Invoice from "../models/invoice.model.js"
+import Refund from "../models/refund.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { issueCreditNote, issueInvoice } from "../utils/invoice.js"
+import { writeInvoicePdf } from "../utils/invoice-pdf.js"
+import { REFUNDABLE_ORDER_STATUSES } from "../utils/refunds.js"
+
+// Orders are invoiced once paid, including those refunded since
+const INVOICED_STATUSES = [...REFUNDABLE_ORDER_STATUSES, "refunded"]
+
+// Find an order the current user may see the invoices of
+const findOrder = async (req) => {
+  const order = await Order.findById(req.params.id)
+
+  if (!order) {
+    throw new ApiError(404, "Order not found")
+  }
+
+  // Check if the order belongs to the current user (unless admin), guest orders belong to nobody logged in
+  if (req.user.role !== "admin" && (!order.user || order.user.toString() !== req.user.id)) {
+    throw new ApiError(403, "You are not authorized to view this order")
+  }
+
+  return order
+}
+
+// Send an invoice or credit note as a PDF download
+const sendPdf = (res, invoice) => {
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader("Content-Disposition", `inline; filename="${invoice.number}.pdf"`)
+  writeInvoicePdf(invoice, res)
+}
+
+// Get invoice PDF for an order
+export const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await findOrder(req)
+
+    let invoice = await Invoice.findOne({ order: order._id, type: "invoice" })
+
+    // Orders paid before invoicing existed, or whose invoice failed to issue, get theirs now
+    if (!invoice) {
+      if (!order.paymentId && !INVOICED_STATUSES.includes(order.status)) {
+        throw new ApiError(400, "An invoice is issued once the order has been paid")
+      }
+      invoice = await issueInvoice(order)
+    }
+
+    return sendPdf(res, invoice)
+  } catch (error) {
+    // Headers are already sent once the PDF has started streaming
+    if (res.headersSent) {
+      console.error("Error writing invoice PDF:", error)
+      return res.destroy(error)
+    }
+    next(error)
+  }
+}
+
+// Get credit notes for an order
+export const getOrderCreditNotes = async (req, res, next) => {
+  try {
+    const order = await findOrder(req)
+
+    // Issue any credit note that failed to issue when its refund was paid
+    const refunds = await Refund.find({ order: order._id, status: "succeeded", creditNote: null })
+    for (const refund of refunds) {
+      await issueCreditNote(order, refund)
+    }
+
+    const creditNotes = await Invoice.find({ order: order._id, type: "credit_note" })
+      .sort({ sequence: 1 })
+      .select("number invoiceNumber refund currency total reason issuedAt")
+
+    return res.status(200).json(new ApiResponse(200, creditNotes, "Credit notes retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get credit note PDF
+export const getOrderCreditNote = async (req, res, next) => {
+  try {
+    const order = await findOrder(req)
+
+    const creditNote = await Invoice.findOne({ _id: req.params.creditNoteId, order: order._id, type: "credit_note" })
+
+    if (!creditNote) {
+      throw new ApiError(404, "Credit note not found")
+    }
+
+    return sendPdf(res, creditNote)
+  } catch (error) {
+    // Headers are already sent once the PDF has started streaming
+    if (res.headersSent) {
+      console.error("Error writing invoice PDF:", error)
+      return res.destroy(error)
+    }
+    next(error)
+  }
+}
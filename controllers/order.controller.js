@@ -1,95 +1,54 @@
 import Order from "../models/order.model.js"
 import Cart from "../models/cart.model.js"
-import Product from "../models/product.model.js"
+import Shipment from "../models/shipment.model.js"
+import Refund from "../models/refund.model.js"
 import { ApiError } from "../utils/api-error.js"
 import { ApiResponse } from "../utils/api-response.js"
+import { assertCartReady, placeOrder } from "../utils/checkout.js"
+import { roundAmount } from "../utils/currency.js"
+import { transitionOrder } from "../utils/order-status.js"
+import { cancelOrRefundOrder, refundOrder } from "../utils/refunds.js"
 
 // Create order
 export const createOrder = async (req, res, next) => {
   try {
-    const { shippingAddress, billingAddress, paymentMethod, shippingMethod, notes, sessionId } = req.body
+    const {
+      shippingAddress,
+      billingAddress,
+      paymentMethod,
+      shippingMethod,
+      notes,
+      acknowledgePriceChanges,
+    } = req.body
 
-    // Find user's cart
+    // Find user's cart, or the guest cart identified by the signed guest cart token
     const query = {}
     if (req.user) {
       query.user = req.user.id
-    } else if (sessionId) {
-      query.sessionId = sessionId
+    } else if (req.guestSessionId) {
+      query.sessionId = req.guestSessionId
     } else {
-      throw new ApiError(400, "Session ID is required for guest checkout")
+      throw new ApiError(401, "A guest cart token is required for guest checkout")
     }
 
-    const cart = await Cart.findOne(query).populate("items.product")
+    const cart = await Cart.findOne(query)
 
     if (!cart || cart.items.length === 0) {
       throw new ApiError(400, "Cart is empty")
     }
 
-    // Validate stock for all items
-    for (const item of cart.items) {
-      const product = await Product.findById(item.product)
-      if (!product || product.stock < item.quantity) {
-        throw new ApiError(400, `Not enough stock for ${product ? product.name : "a product"}`)
-      }
-    }
+    await assertCartReady(cart, { acknowledgePriceChanges })
 
-    // Create order items
-    const orderItems = cart.items.map((item) => ({
-      product: item.product._id,
-      variant: item.variant,
-      name: item.product.name,
-      sku: item.product.sku,
-      price: item.price,
-      quantity: item.quantity,
-      subtotal: item.price * item.quantity,
-    }))
-
-    // Create new order
-    const order = new Order({
-      user: req.user ? req.user.id : null,
+    const order = await placeOrder(cart, {
+      user: req.user,
       email: req.user ? req.user.email : req.body.email,
-      items: orderItems,
-      billingAddress,
       shippingAddress,
+      billingAddress,
       paymentMethod,
       shippingMethod,
-      subtotal: cart.subtotal,
-      discountTotal: cart.discountTotal,
-      taxTotal: cart.taxTotal,
-      shippingTotal: cart.shippingTotal,
-      grandTotal: cart.grandTotal,
       notes,
-      appliedCoupons: cart.appliedCoupons.map((coupon) => ({
-        code: coupon.code,
-        discount: coupon.value,
-      })),
-      statusHistory: [
-        {
-          status: "pending",
-          note: "Order created",
-        },
-      ],
     })
 
-    await order.save()
-
-    // Update product stock
-    for (const item of cart.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity },
-      })
-    }
-
-    // Clear cart
-    cart.items = []
-    cart.appliedCoupons = []
-    cart.subtotal = 0
-    cart.discountTotal = 0
-    cart.taxTotal = 0
-    cart.shippingTotal = 0
-    cart.grandTotal = 0
-    await cart.save()
-
     return res.status(201).json(new ApiResponse(201, order, "Order created successfully"))
   } catch (error) {
     next(error)
@@ -140,12 +99,23 @@ export const getOrderById = async (req, res, next) => {
       throw new ApiError(404, "Order not found")
     }
 
-    // Check if the order belongs to the current user (unless admin)
-    if (req.user.role !== "admin" && order.user && order.user.toString() !== req.user.id) {
+    // Check if the order belongs to the current user (unless admin), guest orders belong to nobody logged in
+    if (req.user.role !== "admin" && (!order.user || order.user.toString() !== req.user.id)) {
       throw new ApiError(403, "You are not authorized to view this order")
     }
 
-    return res.status(200).json(new ApiResponse(200, order, "Order retrieved successfully"))
+    // Tracking for each package the order was sent in
+    const shipments = await Shipment.find({ order: order._id })
+      .sort({ createdAt: 1 })
+      .select("items carrier trackingNumber trackingUrl status shippedAt deliveredAt")
+
+    const refunds = await Refund.find({ order: order._id, status: "succeeded" })
+      .sort({ createdAt: 1 })
+      .select("amount currency items includesShipping shippingAmount includesTax taxAmount reason createdAt")
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { ...order.toJSON(), shipments, refunds }, "Order retrieved successfully"))
   } catch (error) {
     next(error)
   }
@@ -155,7 +125,7 @@ export const getOrderById = async (req, res, next) => {
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { status, note } = req.body
+    const { status, note, trackingNumber } = req.body
 
     const order = await Order.findById(id)
 
@@ -163,15 +133,28 @@ export const updateOrderStatus = async (req, res, next) => {
       throw new ApiError(404, "Order not found")
     }
 
-    order.status = status
-    order.statusHistory.push({
-      status,
-      note: note || `Status updated to ${status}`,
-    })
+    // Refunding pays back whatever is left through the refund ledger, so the amount is recorded
+    if (status === "refunded") {
+      const { order: refundedOrder } = await refundOrder(order, {
+        amount: roundAmount(order.grandTotal - order.refundedTotal, order.currency),
+        reason: "other",
+        note,
+        actor: req.user._id,
+      })
+
+      return res.status(200).json(new ApiResponse(200, refundedOrder, "Order status updated successfully"))
+    }
+
+    // Cancelling a paid order pays it back as well
+    if (status === "cancelled" && ["pending", "processing"].includes(order.status)) {
+      const cancelledOrder = await cancelOrRefundOrder(order, { actor: req.user._id, note })
 
-    await order.save()
+      return res.status(200).json(new ApiResponse(200, cancelledOrder, "Order status updated successfully"))
+    }
+
+    const updatedOrder = await transitionOrder(order, status, { actor: req.user._id, note, trackingNumber })
 
-    return res.status(200).json(new ApiResponse(200, order, "Order status updated successfully"))
+    return res.status(200).json(new ApiResponse(200, updatedOrder, "Order status updated successfully"))
   } catch (error) {
     next(error)
   }
@@ -189,32 +172,24 @@ export const cancelOrder = async (req, res, next) => {
       throw new ApiError(404, "Order not found")
     }
 
-    // Check if the order belongs to the current user (unless admin)
-    if (req.user.role !== "admin" && order.user && order.user.toString() !== req.user.id) {
+    // Check if the order belongs to the current user (unless admin), guest orders belong to nobody logged in
+    if (req.user.role !== "admin" && (!order.user || order.user.toString() !== req.user.id)) {
       throw new ApiError(403, "You are not authorized to cancel this order")
     }
 
-    // Check if order can be cancelled
-    if (!["pending", "processing"].includes(order.status)) {
-      throw new ApiError(400, "This order cannot be cancelled")
-    }
-
-    order.status = "cancelled"
-    order.statusHistory.push({
-      status: "cancelled",
+    // Cancelling releases the stock held for the order and the coupons it used, paid orders are refunded in full
+    const cancelledOrder = await cancelOrRefundOrder(order, {
+      actor: req.user._id,
       note: reason || "Order cancelled by user",
+      reason: req.user.role === "admin" ? "other" : "requested_by_customer",
     })
 
-    await order.save()
-
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity },
-      })
-    }
+    const message =
+      cancelledOrder.status === "refunded"
+        ? "Order cancelled and refunded successfully"
+        : "Order cancelled successfully"
 
-    return res.status(200).json(new ApiResponse(200, order, "Order cancelled successfully"))
+    return res.status(200).json(new ApiResponse(200, cancelledOrder, message))
   } catch (error) {
     next(error)
   }
@@ -0,0 +1,163 @@
+import crypto from "crypto"
+import Order from "../models/order.model.js"
+import Refund from "../models/refund.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { PENDING_PAYMENT_PREFIX, getPaymentProvider } from "../utils/payment.js"
+import { transitionOrder } from "../utils/order-status.js"
+import { refundOrder } from "../utils/refunds.js"
+import { assertReservationHeld } from "../utils/stock-reservation.js"
+
+// Find an order the current user may pay or see the refunds of
+// Guest orders can only be reached with the guest cart token they were placed with
+const findOrder = async (req) => {
+  const order = await Order.findById(req.params.id)
+
+  if (!order) {
+    throw new ApiError(404, "Order not found")
+  }
+
+  if (!req.user && !req.guestSessionId) {
+    throw new ApiError(401, "Authentication or a guest cart token is required")
+  }
+
+  const isAdmin = req.user?.role === "admin"
+  const isOwner = Boolean(req.user && order.user && order.user.toString() === req.user.id)
+  const isGuest = Boolean(!order.user && order.sessionId && order.sessionId === req.guestSessionId)
+
+  if (!isAdmin && !isOwner && !isGuest) {
+    throw new ApiError(403, "You are not authorized to access this order")
+  }
+
+  return order
+}
+
+// Pay for a pending order through the payment provider
+export const payOrder = async (req, res, next) => {
+  try {
+    const order = await findOrder(req)
+
+    // Claim the order with a placeholder payment id so it is charged once and not cancelled while being charged
+    // Claims left by a request that stopped part way are settled by the reservation job, see reconcileStalePayments
+    const claim = `${PENDING_PAYMENT_PREFIX}${crypto.randomUUID()}`
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, status: "pending", paymentId: null },
+      { paymentId: claim, paymentClaimedAt: new Date() },
+      { new: true },
+    )
+
+    if (!claimed) {
+      throw new ApiError(400, "This order is not awaiting payment")
+    }
+
+    let payment
+    try {
+      await assertReservationHeld(order._id)
+
+      payment = await getPaymentProvider().charge({
+        order: claimed,
+        amount: claimed.grandTotal,
+        currency: claimed.currency,
+        method: claimed.paymentMethod,
+      })
+
+      if (payment.status !== "succeeded") {
+        throw new ApiError(402, `Payment failed${payment.failureReason ? `: ${payment.failureReason}` : ""}`)
+      }
+    } catch (error) {
+      // Nothing was charged, so the order can be paid again or cancelled once its stock is released
+      await Order.updateOne({ _id: order._id, paymentId: claim }, { paymentId: null, $unset: { paymentClaimedAt: "" } })
+      throw error
+    }
+
+    // The claim is normally still held, unless the charge took so long the reservation job settled it
+    const paid = await Order.findOneAndUpdate(
+      { _id: order._id, status: "pending", paymentId: { $in: [claim, null] } },
+      { paymentId: payment.reference },
+      { new: true },
+    )
+
+    if (!paid) {
+      const current = await Order.findById(order._id)
+      if (current.paymentId === payment.reference) {
+        return res.status(200).json(new ApiResponse(200, current, "Payment completed successfully"))
+      }
+
+      // The order was cancelled or paid otherwise in the meantime, so the charge is given back
+      await getPaymentProvider().refund({
+        order: current,
+        paymentReference: payment.reference,
+        amount: claimed.grandTotal,
+        currency: claimed.currency,
+        reason: "duplicate",
+      })
+      throw new ApiError(409, "The order changed while it was being paid, the payment has been refunded")
+    }
+
+    // Paid orders keep their reserved stock and move on to processing
+    const paidOrder = await transitionOrder(paid, "processing", {
+      actor: req.user ? req.user._id : null,
+      note: `Payment ${payment.reference} received`,
+    })
+
+    return res.status(200).json(new ApiResponse(200, paidOrder, "Payment completed successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get refunds for an order
+export const getOrderRefunds = async (req, res, next) => {
+  try {
+    const order = await findOrder(req)
+
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: 1 })
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          refunds,
+          grandTotal: order.grandTotal,
+          refundedTotal: order.refundedTotal,
+          netPaid: order.netPaid,
+          currency: order.currency,
+        },
+        "Refunds retrieved successfully",
+      ),
+    )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Refund order lines, shipping or a set amount (admin only)
+export const createRefund = async (req, res, next) => {
+  try {
+    const { items, includeShipping, includeTax, amount, reason, note } = req.body
+
+    const order = await findOrder(req)
+
+    const { refund, order: updatedOrder } = await refundOrder(order, {
+      items,
+      includeShipping,
+      includeTax,
+      amount,
+      reason,
+      note,
+      actor: req.user._id,
+    })
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          { refund, orderStatus: updatedOrder.status, netPaid: updatedOrder.netPaid },
+          "Refund created successfully",
+        ),
+      )
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,8 +1,72 @@
+import mongoose from "mongoose"
 import Product from "../models/product.model.js"
+import Category from "../models/category.model.js"
 import { ApiError } from "../utils/api-error.js"
 import { ApiResponse } from "../utils/api-response.js"
+import { parseCsv, toCsvRow } from "../utils/csv.js"
+import {
+  PRODUCT_CSV_COLUMNS,
+  csvRowToProduct,
+  productToRecord,
+  recordToCsvRow,
+} from "../utils/product-transfer.js"
+import { recordStockChanges, saveProductEdit } from "../utils/inventory.js"
+import { convertAmount, resolveCurrency } from "../utils/currency.js"
+import { productSchema } from "../validations/product.validation.js"
 
-// Get all products with pagination and filtering
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 250, 500]
+
+// Split a comma separated query value into a list
+const parseList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+// Parse a list of ObjectIds from the query, rejecting malformed ids
+const parseObjectIds = (value, field) =>
+  parseList(value).map((id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, `Invalid ${field} id: ${id}`)
+    }
+    return new mongoose.Types.ObjectId(id)
+  })
+
+// Build one match clause per facet so each facet can be counted without its own filter
+// Price filters are given in the requested currency and matched against base prices
+const buildFacetFilters = (query, pricing) => {
+  const filters = {}
+
+  if (query.category) filters.category = { category: { $in: parseObjectIds(query.category, "category") } }
+  if (query.subcategory) {
+    filters.subcategory = { subcategory: { $in: parseObjectIds(query.subcategory, "subcategory") } }
+  }
+  if (query.minPrice || query.maxPrice) {
+    filters.price = { price: {} }
+    if (query.minPrice) filters.price.price.$gte = Number(query.minPrice) / pricing.rate
+    if (query.maxPrice) filters.price.price.$lte = Number(query.maxPrice) / pricing.rate
+  }
+  if (query.color) filters.color = { "variants.color": { $in: parseList(query.color) } }
+  if (query.size) filters.size = { "variants.size": { $in: parseList(query.size) } }
+  if (query.tags) filters.tags = { tags: { $in: parseList(query.tags) } }
+
+  // Attribute filters are passed as attr.<key>=value1,value2
+  const attributes = {}
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith("attr.") && key.length > 5) {
+      attributes[key.slice(5)] = { [`attributes.${key.slice(5)}`]: { $in: parseList(value) } }
+    }
+  }
+
+  return { filters, attributes }
+}
+
+// Combine match clauses into a single match stage
+const combine = (...clauses) => {
+  const list = clauses.flat().filter((clause) => clause && Object.keys(clause).length > 0)
+  return list.length > 0 ? { $and: list } : {}
+}
+
+// Get all products with pagination, filtering and facet counts
 export const getProducts = async (req, res, next) => {
   try {
     const {
@@ -10,41 +74,148 @@ export const getProducts = async (req, res, next) => {
       limit = 10,
       sort = "createdAt",
       order = "desc",
-      category,
-      minPrice,
-      maxPrice,
       search,
       featured,
       status = "active",
     } = req.query
 
-    const query = { status }
+    const pricing = await resolveCurrency(req.query.currency)
+
+    const baseQuery = { status }
+    if (featured) baseQuery.featured = featured === "true"
+    if (search) baseQuery.$text = { $search: search }
 
-    // Apply filters
-    if (category) query.category = category
-    if (minPrice || maxPrice) {
-      query.price = {}
-      if (minPrice) query.price.$gte = Number(minPrice)
-      if (maxPrice) query.price.$lte = Number(maxPrice)
+    const { filters, attributes } = buildFacetFilters(req.query, pricing)
+    const attributeClauses = Object.values(attributes)
+
+    // Every filter except the one belonging to the given facet
+    const filtersExcept = (facet) =>
+      combine(
+        Object.entries(filters)
+          .filter(([key]) => key !== facet)
+          .map(([, clause]) => clause),
+        attributeClauses,
+      )
+    const allFilters = filtersExcept(null)
+
+    // Attribute values are counted against every other attribute filter but their own key
+    const attributeKeys = Object.keys(attributes)
+    const attributeMatch = {
+      $or: [
+        combine({ "attribute.k": { $nin: attributeKeys } }, attributeClauses),
+        ...attributeKeys.map((key) =>
+          combine(
+            { "attribute.k": key },
+            Object.entries(attributes)
+              .filter(([otherKey]) => otherKey !== key)
+              .map(([, clause]) => clause),
+          ),
+        ),
+      ],
     }
-    if (featured) query.featured = featured === "true"
-    if (search) query.$text = { $search: search }
 
-    // Count total documents
-    const total = await Product.countDocuments(query)
+    const countBy = (field) => [
+      { $unwind: `$${field}` },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]
 
-    // Get products with pagination
-    const products = await Product.find(query)
-      .sort({ [sort]: order === "desc" ? -1 : 1 })
-      .skip((Number(page) - 1) * Number(limit))
-      .limit(Number(limit))
-      .populate("category", "name slug")
+    const [result] = await Product.aggregate([
+      { $match: baseQuery },
+      {
+        $facet: {
+          products: [
+            { $match: allFilters },
+            { $sort: { [sort]: order === "desc" ? -1 : 1, _id: 1 } },
+            { $skip: (Number(page) - 1) * Number(limit) },
+            { $limit: Number(limit) },
+          ],
+          total: [{ $match: allFilters }, { $count: "count" }],
+          categories: [{ $match: filtersExcept("category") }, ...countBy("category")],
+          subcategories: [{ $match: filtersExcept("subcategory") }, ...countBy("subcategory")],
+          prices: [
+            { $match: filtersExcept("price") },
+            {
+              $bucket: {
+                groupBy: "$price",
+                boundaries: PRICE_BUCKET_BOUNDARIES,
+                default: "other",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          colors: [
+            { $match: filtersExcept("color") },
+            { $project: { value: { $setUnion: [{ $ifNull: ["$variants.color", []] }] } } },
+            ...countBy("value"),
+          ],
+          sizes: [
+            { $match: filtersExcept("size") },
+            { $project: { value: { $setUnion: [{ $ifNull: ["$variants.size", []] }] } } },
+            ...countBy("value"),
+          ],
+          tags: [{ $match: filtersExcept("tags") }, ...countBy("tags")],
+          attributes: [
+            { $match: combine(Object.values(filters)) },
+            { $addFields: { attribute: { $objectToArray: { $ifNull: ["$attributes", {}] } } } },
+            { $unwind: "$attribute" },
+            { $match: attributeMatch },
+            { $group: { _id: { key: "$attribute.k", value: "$attribute.v" }, count: { $sum: 1 } } },
+            { $sort: { count: -1, "_id.value": 1 } },
+            { $group: { _id: "$_id.key", values: { $push: { value: "$_id.value", count: "$count" } } } },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ])
+
+    const products = await Product.populate(result.products.map((product) => Product.hydrate(product)), [
+      { path: "category", select: "name slug" },
+    ])
+    const total = result.total.length > 0 ? result.total[0].count : 0
+
+    // Resolve category names for the category facets
+    const categoryIds = [...result.categories, ...result.subcategories].map((facet) => facet._id)
+    const categoryNames = new Map(
+      (await Category.find({ _id: { $in: categoryIds } }).select("name slug")).map((category) => [
+        category.id,
+        category,
+      ]),
+    )
+    const withCategory = (facet) => ({
+      _id: facet._id,
+      name: categoryNames.get(facet._id.toString())?.name,
+      slug: categoryNames.get(facet._id.toString())?.slug,
+      count: facet.count,
+    })
+
+    const facets = {
+      categories: result.categories.map(withCategory),
+      subcategories: result.subcategories.map(withCategory),
+      price: result.prices.map((bucket) => {
+        const index = PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id)
+        const min = bucket._id === "other" ? PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1] : bucket._id
+        const max = bucket._id === "other" ? null : PRICE_BUCKET_BOUNDARIES[index + 1]
+        return {
+          min: convertAmount(min, pricing),
+          max: max === null ? null : convertAmount(max, pricing),
+          count: bucket.count,
+        }
+      }),
+      color: result.colors.map((facet) => ({ value: facet._id, count: facet.count })),
+      size: result.sizes.map((facet) => ({ value: facet._id, count: facet.count })),
+      tags: result.tags.map((facet) => ({ value: facet._id, count: facet.count })),
+      attributes: Object.fromEntries(result.attributes.map((facet) => [facet._id, facet.values])),
+    }
 
     return res.status(200).json(
       new ApiResponse(
         200,
         {
-          products,
+          products: products.map((product) => product.toLocalizedJSON(pricing)),
+          currency: pricing.currency,
+          facets,
           pagination: {
             total,
             page: Number(page),
@@ -63,6 +234,8 @@ export const getProducts = async (req, res, next) => {
 // Get product by ID
 export const getProductById = async (req, res, next) => {
   try {
+    const pricing = await resolveCurrency(req.query.currency)
+
     const product = await Product.findById(req.params.id)
       .populate("category", "name slug")
       .populate("subcategory", "name slug")
@@ -71,7 +244,39 @@ export const getProductById = async (req, res, next) => {
       throw new ApiError(404, "Product not found")
     }
 
-    return res.status(200).json(new ApiResponse(200, product, "Product retrieved successfully"))
+    return res
+      .status(200)
+      .json(new ApiResponse(200, product.toLocalizedJSON(pricing), "Product retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get product by slug, redirecting slugs the product used before a rename
+export const getProductBySlug = async (req, res, next) => {
+  try {
+    const { slug } = req.params
+    const pricing = await resolveCurrency(req.query.currency)
+
+    const product = await Product.findOne({ slug })
+      .populate("category", "name slug")
+      .populate("subcategory", "name slug")
+
+    if (!product) {
+      const renamedProduct = await Product.findOne({ previousSlugs: slug }).select("slug")
+
+      if (!renamedProduct) {
+        throw new ApiError(404, "Product not found")
+      }
+
+      // Keep the query string, such as the currency, on the redirect
+      const search = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?")) : ""
+      return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(renamedProduct.slug)}${search}`)
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, product.toLocalizedJSON(pricing), "Product retrieved successfully"))
   } catch (error) {
     next(error)
   }
@@ -83,6 +288,8 @@ export const createProduct = async (req, res, next) => {
     const product = new Product(req.body)
     await product.save()
 
+    await recordStockChanges(null, product, { reason: "adjustment", actor: req.user._id, note: "Initial stock" })
+
     return res.status(201).json(new ApiResponse(201, product, "Product created successfully"))
   } catch (error) {
     next(error)
@@ -92,11 +299,11 @@ export const createProduct = async (req, res, next) => {
 // Update product
 export const updateProduct = async (req, res, next) => {
   try {
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
-
-    if (!product) {
-      throw new ApiError(404, "Product not found")
-    }
+    const product = await saveProductEdit(req.params.id, req.body, {
+      reason: "adjustment",
+      actor: req.user._id,
+      note: "Product updated",
+    })
 
     return res.status(200).json(new ApiResponse(200, product, "Product updated successfully"))
   } catch (error) {
@@ -122,18 +329,28 @@ export const deleteProduct = async (req, res, next) => {
 // Search products
 export const searchProducts = async (req, res, next) => {
   try {
-    const { q, limit = 10 } = req.query
+    const { q, limit = 10, currency } = req.query
 
     if (!q) {
       throw new ApiError(400, "Search query is required")
     }
 
+    const pricing = await resolveCurrency(currency)
+
     const products = await Product.find({ $text: { $search: q }, status: "active" }, { score: { $meta: "textScore" } })
       .sort({ score: { $meta: "textScore" } })
       .limit(Number(limit))
-      .select("name price images category")
+      .select("name price prices images category")
 
-    return res.status(200).json(new ApiResponse(200, products, "Search results retrieved successfully"))
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          products.map((product) => product.toLocalizedJSON(pricing)),
+          "Search results retrieved successfully",
+        ),
+      )
   } catch (error) {
     next(error)
   }
@@ -142,6 +359,8 @@ export const searchProducts = async (req, res, next) => {
 // Get related products
 export const getRelatedProducts = async (req, res, next) => {
   try {
+    const pricing = await resolveCurrency(req.query.currency)
+
     const product = await Product.findById(req.params.id)
 
     if (!product) {
@@ -154,10 +373,202 @@ export const getRelatedProducts = async (req, res, next) => {
       status: "active",
     })
       .limit(4)
-      .select("name price images")
+      .select("name price prices images")
 
-    return res.status(200).json(new ApiResponse(200, relatedProducts, "Related products retrieved successfully"))
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          relatedProducts.map((relatedProduct) => relatedProduct.toLocalizedJSON(pricing)),
+          "Related products retrieved successfully",
+        ),
+      )
   } catch (error) {
     next(error)
   }
 }
+
+// Import products from an uploaded CSV or JSON file (admin only)
+export const importProducts = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === "true"
+
+    if (!req.file) {
+      throw new ApiError(400, "A CSV or JSON file is required")
+    }
+
+    const isJson = req.file.mimetype === "application/json" || /\.json$/i.test(req.file.originalname)
+    const content = req.file.buffer.toString("utf8")
+
+    // Parse the file into raw product payloads with any parse errors per row
+    let rows
+    if (isJson) {
+      let parsed
+      try {
+        parsed = JSON.parse(content)
+      } catch (error) {
+        throw new ApiError(400, "The uploaded file is not valid JSON")
+      }
+      const products = Array.isArray(parsed) ? parsed : parsed.products
+      if (!Array.isArray(products)) {
+        throw new ApiError(400, "The JSON file must contain an array of products")
+      }
+      // Rows that are not objects are reported as failed rows instead of failing the whole file
+      rows = products.map((product) =>
+        product && typeof product === "object" && !Array.isArray(product)
+          ? { product, errors: [] }
+          : { product: {}, errors: [{ field: null, message: "Each product must be a JSON object" }] },
+      )
+    } else {
+      rows = parseCsv(content).map(csvRowToProduct)
+    }
+
+    if (rows.length === 0) {
+      throw new ApiError(400, "The uploaded file contains no products")
+    }
+
+    // Allow categories to be referenced by slug as well as by id
+    const categorySlugs = new Set()
+    for (const { product } of rows) {
+      for (const field of ["category", "subcategory"]) {
+        if (typeof product[field] === "string" && !mongoose.Types.ObjectId.isValid(product[field])) {
+          categorySlugs.add(product[field])
+        }
+      }
+    }
+    const categoriesBySlug = new Map(
+      (await Category.find({ slug: { $in: [...categorySlugs] } }).select("slug")).map((category) => [
+        category.slug,
+        category.id,
+      ]),
+    )
+
+    const results = []
+    const seenSkus = new Set()
+    const summary = { created: 0, updated: 0, failed: 0 }
+
+    for (const [index, { product, errors: parseErrors }] of rows.entries()) {
+      const result = { row: index + 1, sku: product?.sku ?? null }
+
+      try {
+        if (parseErrors.length > 0) {
+          throw new ApiError(400, "Validation Error", parseErrors)
+        }
+
+        for (const field of ["category", "subcategory"]) {
+          if (categoriesBySlug.has(product[field])) {
+            product[field] = categoriesBySlug.get(product[field])
+          }
+        }
+
+        const { error, value } = productSchema.validate(product, { abortEarly: false })
+        if (error) {
+          throw new ApiError(
+            400,
+            "Validation Error",
+            error.details.map((detail) => ({ field: detail.path.join("."), message: detail.message })),
+          )
+        }
+
+        if (seenSkus.has(value.sku)) {
+          throw new ApiError(400, "Validation Error", [{ field: "sku", message: "sku appears more than once in file" }])
+        }
+        seenSkus.add(value.sku)
+
+        // Upsert by SKU, stock of existing products is adjusted through the ledger
+        const existing = await Product.findOne({ sku: value.sku }).select("_id")
+        if (existing) {
+          await saveProductEdit(existing._id, value, { reason: "import", actor: req.user._id }, { dryRun })
+        } else {
+          const document = new Product(value)
+          if (dryRun) {
+            await document.validate()
+          } else {
+            await document.save()
+            await recordStockChanges(null, document, { reason: "import", actor: req.user._id })
+          }
+        }
+
+        result.status = existing ? "updated" : "created"
+        summary[result.status] += 1
+      } catch (error) {
+        result.status = "failed"
+        result.errors =
+          error.errors && Array.isArray(error.errors)
+            ? error.errors
+            : error.name === "ValidationError"
+              ? Object.values(error.errors).map((err) => ({ field: err.path, message: err.message }))
+              : [{ field: null, message: error.message }]
+        summary.failed += 1
+      }
+
+      results.push(result)
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { dryRun, summary, results },
+          dryRun ? "Import validated successfully" : "Products imported successfully",
+        ),
+      )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Export the filtered catalog as CSV or JSON (admin only)
+export const exportProducts = async (req, res, next) => {
+  try {
+    const { format = "csv", status, category, featured } = req.query
+
+    if (!["csv", "json"].includes(format)) {
+      throw new ApiError(400, "Export format must be csv or json")
+    }
+
+    const query = {}
+    if (status) query.status = status
+    if (category) {
+      if (!mongoose.Types.ObjectId.isValid(category)) {
+        throw new ApiError(400, "Invalid category id")
+      }
+      query.category = category
+    }
+    if (featured) query.featured = featured === "true"
+
+    const cursor = Product.find(query).sort({ sku: 1 }).lean().cursor()
+
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="products.${format}"`)
+
+    // Stream records as they are read so large catalogs are not held in memory
+    if (format === "csv") {
+      res.write(toCsvRow(PRODUCT_CSV_COLUMNS))
+    } else {
+      res.write("[")
+    }
+
+    let first = true
+    for await (const product of cursor) {
+      const record = productToRecord(product)
+      if (format === "csv") {
+        res.write(recordToCsvRow(record))
+      } else {
+        res.write(`${first ? "" : ","}\n${JSON.stringify(record)}`)
+      }
+      first = false
+    }
+
+    res.end(format === "json" ? "\n]\n" : "")
+  } catch (error) {
+    // Headers are already sent once streaming has started
+    if (res.headersSent) {
+      console.error("Error exporting products:", error)
+      return res.destroy(error)
+    }
+    next(error)
+  }
+}
@@ -0,0 +1,218 @@
+import mongoose from "mongoose"
+import Promotion from "../models/promotion.model.js"
+import PromotionRedemption from "../models/promotion-redemption.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { getBaseCurrency } from "../utils/currency.js"
+
+// Aggregate active redemptions into per-promotion performance figures
+// Amounts are only added up within a currency, so discounts and revenue are reported per currency
+const getPerformance = async (match) => {
+  const rows = await PromotionRedemption.aggregate([
+    { $match: { ...match, status: "active" } },
+    {
+      $group: {
+        // Redemptions recorded before the currency was stored were in the base currency
+        _id: { promotion: "$promotion", currency: { $ifNull: ["$currency", getBaseCurrency()] } },
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: "$discount" },
+        revenue: { $sum: "$orderTotal" },
+        customers: { $addToSet: { $ifNull: [{ $toString: "$user" }, "$email"] } },
+        firstRedeemedAt: { $min: "$redeemedAt" },
+        lastRedeemedAt: { $max: "$redeemedAt" },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.promotion",
+        redemptions: { $sum: "$redemptions" },
+        currencies: {
+          $push: {
+            currency: "$_id.currency",
+            redemptions: "$redemptions",
+            totalDiscount: { $round: ["$totalDiscount", 2] },
+            revenue: { $round: ["$revenue", 2] },
+          },
+        },
+        customers: { $push: "$customers" },
+        firstRedeemedAt: { $min: "$firstRedeemedAt" },
+        lastRedeemedAt: { $max: "$lastRedeemedAt" },
+      },
+    },
+    {
+      $lookup: {
+        from: Promotion.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "promotion",
+      },
+    },
+    { $unwind: { path: "$promotion", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        promotion: "$_id",
+        name: "$promotion.name",
+        code: "$promotion.code",
+        type: "$promotion.type",
+        usageCount: "$promotion.usageCount",
+        redemptions: 1,
+        currencies: 1,
+        uniqueCustomers: {
+          $size: { $reduce: { input: "$customers", initialValue: [], in: { $setUnion: ["$$value", "$$this"] } } },
+        },
+        firstRedeemedAt: 1,
+        lastRedeemedAt: 1,
+      },
+    },
+    { $sort: { redemptions: -1 } },
+  ])
+
+  return rows
+}
+
+// Build a redemption date filter from the query
+const getDateRange = ({ from, to }) => {
+  if (!from && !to) return {}
+
+  const redeemedAt = {}
+  if (from) redeemedAt.$gte = new Date(from)
+  if (to) redeemedAt.$lte = new Date(to)
+  return { redeemedAt }
+}
+
+// Get performance report for all promotions (admin only)
+export const getPromotionsReport = async (req, res, next) => {
+  try {
+    const report = await getPerformance(getDateRange(req.query))
+
+    return res.status(200).json(new ApiResponse(200, report, "Promotion report retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get performance report for a single promotion (admin only)
+export const getPromotionReport = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      throw new ApiError(404, "Promotion not found")
+    }
+
+    const [report] = await getPerformance({
+      promotion: new mongoose.Types.ObjectId(promotion.id),
+      ...getDateRange(req.query),
+    })
+
+    const emptyReport = {
+      promotion: promotion._id,
+      name: promotion.name,
+      code: promotion.code,
+      type: promotion.type,
+      usageCount: promotion.usageCount,
+      redemptions: 0,
+      currencies: [],
+      uniqueCustomers: 0,
+    }
+
+    return res.status(200).json(new ApiResponse(200, report || emptyReport, "Promotion report retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get all promotions with pagination and filtering (admin only)
+export const getPromotions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, type, isActive, code } = req.query
+
+    const query = {}
+    if (type) query.type = type
+    if (isActive !== undefined) query.isActive = isActive === "true"
+    if (code) query.code = code.toUpperCase()
+
+    const total = await Promotion.countDocuments(query)
+
+    const promotions = await Promotion.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit))
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          promotions,
+          pagination: {
+            total,
+            page: Number(page),
+            limit: Number(limit),
+            pages: Math.ceil(total / Number(limit)),
+          },
+        },
+        "Promotions retrieved successfully",
+      ),
+    )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get promotion by ID (admin only)
+export const getPromotionById = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      throw new ApiError(404, "Promotion not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, promotion, "Promotion retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create new promotion (admin only)
+export const createPromotion = async (req, res, next) => {
+  try {
+    const promotion = new Promotion(req.body)
+    await promotion.save()
+
+    return res.status(201).json(new ApiResponse(201, promotion, "Promotion created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update promotion (admin only)
+export const updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
+
+    if (!promotion) {
+      throw new ApiError(404, "Promotion not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, promotion, "Promotion updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete promotion (admin only)
+export const deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id)
+
+    if (!promotion) {
+      throw new ApiError(404, "Promotion not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Promotion deleted successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,273 @@
+import Order from "../models/order.model.js"
+import ReturnRequest from "../models/return-request.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { adjustStock } from "../utils/inventory.js"
+import { advanceReturn, applyReturnRefund, buildReturnItems, calculateRefund, notifyReturn } from "../utils/returns.js"
+
+// How often to retry when another return of the order took the next RMA number first
+const MAX_RMA_ATTEMPTS = 5
+
+// Only admins and the customer who placed the order can see its returns
+const assertCanAccess = (req, record) => {
+  if (req.user.role !== "admin" && (!record.user || record.user.toString() !== req.user.id)) {
+    throw new ApiError(403, "You are not authorized to view this return")
+  }
+}
+
+// Find a return by id
+const findReturn = async (id) => {
+  const returnRequest = await ReturnRequest.findById(id)
+
+  if (!returnRequest) {
+    throw new ApiError(404, "Return not found")
+  }
+
+  return returnRequest
+}
+
+// Save a return under the next RMA number of its order
+const createNumberedReturn = async (order, fields) => {
+  for (let attempt = 0; attempt < MAX_RMA_ATTEMPTS; attempt++) {
+    const count = await ReturnRequest.countDocuments({ order: order._id })
+
+    try {
+      return await ReturnRequest.create({ ...fields, rmaNumber: `RMA-${order.orderNumber}-${count + 1}` })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+    }
+  }
+
+  throw new ApiError(409, "Another return was requested for this order at the same time, try again")
+}
+
+// Request a return for items of a delivered order
+export const createReturn = async (req, res, next) => {
+  try {
+    const { items, comments } = req.body
+
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      throw new ApiError(404, "Order not found")
+    }
+
+    assertCanAccess(req, order)
+
+    const returnItems = await buildReturnItems(order, items)
+
+    // Count the units against the order first so concurrent returns cannot return more than was delivered
+    if (!(await Order.reserveItemQuantities(order, "returnedQuantity", returnItems))) {
+      throw new ApiError(409, "Some of these items were just added to another return, reload the order and try again")
+    }
+
+    let returnRequest
+    try {
+      returnRequest = await createNumberedReturn(order, {
+        order: order._id,
+        user: order.user,
+        email: order.email,
+        items: returnItems,
+        comments,
+        currency: order.currency,
+        statusHistory: [{ status: "requested", note: "Return requested" }],
+      })
+    } catch (error) {
+      await Order.releaseItemQuantities(order._id, "returnedQuantity", returnItems)
+      throw error
+    }
+
+    await notifyReturn(returnRequest)
+
+    return res.status(201).json(new ApiResponse(201, returnRequest, "Return requested successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get returns for an order
+export const getOrderReturns = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+
+    if (!order) {
+      throw new ApiError(404, "Order not found")
+    }
+
+    assertCanAccess(req, order)
+
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: 1 })
+
+    return res.status(200).json(new ApiResponse(200, returns, "Returns retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get returns of the current user, admins see every return
+export const getReturns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+
+    const query = req.user.role === "admin" ? {} : { user: req.user.id }
+    if (status) {
+      query.status = status
+    }
+
+    const total = await ReturnRequest.countDocuments(query)
+
+    const returns = await ReturnRequest.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit))
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          returns,
+          pagination: {
+            total,
+            page: Number(page),
+            limit: Number(limit),
+            pages: Math.ceil(total / Number(limit)),
+          },
+        },
+        "Returns retrieved successfully",
+      ),
+    )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get return by ID
+export const getReturnById = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id)
+
+    assertCanAccess(req, returnRequest)
+
+    return res.status(200).json(new ApiResponse(200, returnRequest, "Return retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Approve return and set the amount to refund (admin only)
+export const approveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id)
+
+    const order = await Order.findById(returnRequest.order)
+    if (!order) {
+      throw new ApiError(404, "Order not found")
+    }
+
+    const updated = await advanceReturn(returnRequest, "approved", {
+      note: req.body.note,
+      refundAmount: calculateRefund(order, returnRequest),
+      approvedAt: new Date(),
+    })
+
+    return res.status(200).json(new ApiResponse(200, updated, "Return approved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Reject return (admin only)
+export const rejectReturn = async (req, res, next) => {
+  try {
+    const { reason } = req.body
+
+    const returnRequest = await findReturn(req.params.id)
+
+    const updated = await advanceReturn(returnRequest, "rejected", {
+      note: reason,
+      rejectionReason: reason,
+    })
+
+    return res.status(200).json(new ApiResponse(200, updated, "Return rejected successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Mark the returned items as received and refund them against the order (admin only)
+export const receiveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findReturn(req.params.id)
+
+    // The email goes out once the refund has been paid
+    const updated = await advanceReturn(returnRequest, "received", {
+      note: req.body.note,
+      receivedAt: new Date(),
+      notify: false,
+    })
+
+    let order
+    try {
+      order = await applyReturnRefund(updated, { actor: req.user._id })
+    } catch (error) {
+      // Put the return back so receiving it can be retried
+      await ReturnRequest.updateOne(
+        { _id: updated._id, status: "received" },
+        { status: "approved", $unset: { receivedAt: "" }, $pop: { statusHistory: 1 } },
+      )
+      throw error
+    }
+
+    await notifyReturn(updated)
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { return: updated, orderStatus: order.status }, "Return received successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Restock or write off a received item, completing the return once every item is done (admin only)
+export const resolveReturnItem = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params
+    const { resolution } = req.body
+
+    // Claim the item first so it can only be restocked once
+    let returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: id, status: "received", items: { $elemMatch: { _id: itemId, resolution: null } } },
+      { $set: { "items.$.resolution": resolution, "items.$.resolvedAt": new Date() } },
+      { new: true },
+    )
+
+    if (!returnRequest) {
+      const existing = await findReturn(id)
+      if (existing.status !== "received") {
+        throw new ApiError(400, "Items can only be restocked or written off once the return is received")
+      }
+      if (!existing.items.id(itemId)) {
+        throw new ApiError(404, "Return item not found")
+      }
+      throw new ApiError(400, "This item has already been resolved")
+    }
+
+    const item = returnRequest.items.id(itemId)
+    if (resolution === "restocked") {
+      await adjustStock(item.product, item.variant, item.quantity, {
+        reason: "return",
+        actor: req.user._id,
+        order: returnRequest.order,
+        note: `Return ${returnRequest.rmaNumber}`,
+      })
+    }
+
+    if (returnRequest.items.every((returnItem) => returnItem.resolution)) {
+      returnRequest = await advanceReturn(returnRequest, "completed", { completedAt: new Date() })
+    }
+
+    return res.status(200).json(new ApiResponse(200, returnRequest, "Return item resolved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,209 @@
+import mongoose from "mongoose"
+import Review from "../models/review.model.js"
+import Product from "../models/product.model.js"
+import Order from "../models/order.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+}
+
+// Find a review belonging to the product in the route
+const findProductReview = async (productId, reviewId) => {
+  const review = await Review.findOne({ _id: reviewId, product: productId })
+
+  if (!review) {
+    throw new ApiError(404, "Review not found")
+  }
+
+  return review
+}
+
+// Get reviews for a product with a rating histogram
+export const getProductReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { page = 1, limit = 10, sort = "newest", rating, status } = req.query
+
+    if (!SORT_OPTIONS[sort]) {
+      throw new ApiError(400, `Invalid sort option. Use one of: ${Object.keys(SORT_OPTIONS).join(", ")}`)
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid product id")
+    }
+
+    // Only admins can list reviews that are not approved
+    const isAdmin = req.user && req.user.role === "admin"
+    const query = { product: id, status: isAdmin && status ? status : "approved" }
+    if (rating) query.rating = Number(rating)
+
+    const total = await Review.countDocuments(query)
+
+    const reviews = await Review.find(query)
+      .sort(SORT_OPTIONS[sort])
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit))
+      .select("-helpfulVoters")
+      .populate("user", "firstName lastName")
+
+    // Count approved reviews per star rating
+    const counts = await Review.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(id), status: "approved" } },
+      { $group: { _id: "$rating", count: { $sum: 1 } } },
+    ])
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    for (const { _id, count } of counts) {
+      histogram[_id] = count
+    }
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          reviews,
+          histogram,
+          pagination: {
+            total,
+            page: Number(page),
+            limit: Number(limit),
+            pages: Math.ceil(total / Number(limit)),
+          },
+        },
+        "Reviews retrieved successfully",
+      ),
+    )
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create review
+export const createReview = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const product = await Product.findById(id)
+    if (!product) {
+      throw new ApiError(404, "Product not found")
+    }
+
+    const existingReview = await Review.exists({ product: id, user: req.user.id })
+    if (existingReview) {
+      throw new ApiError(409, "You have already reviewed this product")
+    }
+
+    // A purchase is verified when the user has a delivered order containing the product
+    const verifiedPurchase = Boolean(
+      await Order.exists({ user: req.user.id, status: "delivered", "items.product": product._id }),
+    )
+
+    const review = new Review({
+      ...req.body,
+      product: product._id,
+      user: req.user.id,
+      verifiedPurchase,
+    })
+    await review.save()
+
+    return res.status(201).json(new ApiResponse(201, review, "Review submitted for moderation"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update review
+export const updateReview = async (req, res, next) => {
+  try {
+    const review = await findProductReview(req.params.id, req.params.reviewId)
+
+    if (review.user.toString() !== req.user.id) {
+      throw new ApiError(403, "You are not authorized to update this review")
+    }
+
+    Object.assign(review, req.body)
+
+    // Edited reviews go back through moderation
+    review.status = "pending"
+    review.moderationNote = undefined
+    await review.save()
+
+    await Review.recalculateProductRating(review.product)
+
+    return res.status(200).json(new ApiResponse(200, review, "Review updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete review
+export const deleteReview = async (req, res, next) => {
+  try {
+    const review = await findProductReview(req.params.id, req.params.reviewId)
+
+    if (req.user.role !== "admin" && review.user.toString() !== req.user.id) {
+      throw new ApiError(403, "You are not authorized to delete this review")
+    }
+
+    await review.deleteOne()
+    await Review.recalculateProductRating(review.product)
+
+    return res.status(200).json(new ApiResponse(200, null, "Review deleted successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Vote a review as helpful
+export const voteReviewHelpful = async (req, res, next) => {
+  try {
+    const review = await findProductReview(req.params.id, req.params.reviewId)
+
+    if (review.status !== "approved") {
+      throw new ApiError(400, "Only approved reviews can be voted on")
+    }
+
+    if (review.user.toString() === req.user.id) {
+      throw new ApiError(400, "You cannot vote on your own review")
+    }
+
+    // Only count the vote if the user has not voted yet
+    const updatedReview = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVoters: { $ne: req.user._id } },
+      { $addToSet: { helpfulVoters: req.user._id }, $inc: { helpfulCount: 1 } },
+      { new: true },
+    ).select("-helpfulVoters")
+
+    if (!updatedReview) {
+      throw new ApiError(409, "You have already voted on this review")
+    }
+
+    return res.status(200).json(new ApiResponse(200, updatedReview, "Vote recorded successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Moderate review (admin only)
+export const moderateReview = async (req, res, next) => {
+  try {
+    const { status, note } = req.body
+
+    const review = await findProductReview(req.params.id, req.params.reviewId)
+
+    review.status = status
+    review.moderationNote = note
+    await review.save()
+
+    await Review.recalculateProductRating(review.product)
+
+    return res.status(200).json(new ApiResponse(200, review, "Review moderated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,129 @@
+import Order from "../models/order.model.js"
+import Shipment from "../models/shipment.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+import { SHIPPABLE_STATUSES, buildShipmentItems, syncOrderFulfillment } from "../utils/fulfillment.js"
+
+// Shipment statuses only move forward
+const SHIPMENT_FLOW = ["pending", "shipped", "delivered"]
+
+// Find the order the shipments belong to
+const findOrder = async (id) => {
+  const order = await Order.findById(id)
+
+  if (!order) {
+    throw new ApiError(404, "Order not found")
+  }
+
+  return order
+}
+
+// Get shipments for an order
+export const getOrderShipments = async (req, res, next) => {
+  try {
+    const order = await findOrder(req.params.id)
+
+    // Check if the order belongs to the current user (unless admin), guest orders belong to nobody logged in
+    if (req.user.role !== "admin" && (!order.user || order.user.toString() !== req.user.id)) {
+      throw new ApiError(403, "You are not authorized to view this order")
+    }
+
+    const shipments = await Shipment.find({ order: order._id }).sort({ createdAt: 1 })
+
+    return res.status(200).json(new ApiResponse(200, shipments, "Shipments retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create shipment for some or all of the order items (admin only)
+export const createShipment = async (req, res, next) => {
+  try {
+    const { items, carrier, trackingNumber, trackingUrl, status = "shipped", notes } = req.body
+
+    const order = await findOrder(req.params.id)
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw new ApiError(400, `Cannot add a shipment to a ${order.status} order`)
+    }
+
+    const shipmentItems = await buildShipmentItems(order, items)
+
+    // Count the units against the order first so concurrent shipments cannot ship more than was ordered
+    if (!(await Order.reserveItemQuantities(order, "shippedQuantity", shipmentItems))) {
+      throw new ApiError(409, "Some of these items were just put in another shipment, reload the order and try again")
+    }
+
+    let shipment
+    try {
+      shipment = await Shipment.create({
+        order: order._id,
+        items: shipmentItems,
+        carrier,
+        trackingNumber,
+        trackingUrl,
+        status,
+        shippedAt: status === "shipped" ? new Date() : undefined,
+        notes,
+      })
+    } catch (error) {
+      await Order.releaseItemQuantities(order._id, "shippedQuantity", shipmentItems)
+      throw error
+    }
+
+    const updatedOrder = await syncOrderFulfillment(order, { actor: req.user._id, shipment })
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, { shipment, orderStatus: updatedOrder.status }, "Shipment created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update shipment tracking or mark it shipped or delivered (admin only)
+export const updateShipment = async (req, res, next) => {
+  try {
+    const { carrier, trackingNumber, trackingUrl, status, notes } = req.body
+
+    const shipment = await Shipment.findOne({ _id: req.params.shipmentId, order: req.params.id })
+
+    if (!shipment) {
+      throw new ApiError(404, "Shipment not found")
+    }
+
+    if (carrier !== undefined) shipment.carrier = carrier
+    if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber
+    if (trackingUrl !== undefined) shipment.trackingUrl = trackingUrl
+    if (notes !== undefined) shipment.notes = notes
+
+    if (status && status !== shipment.status) {
+      if (SHIPMENT_FLOW.indexOf(status) < SHIPMENT_FLOW.indexOf(shipment.status)) {
+        throw new ApiError(400, `Cannot change shipment status from ${shipment.status} to ${status}`)
+      }
+
+      if (!shipment.trackingNumber) {
+        throw new ApiError(400, "A tracking number is required to ship a shipment", [
+          { field: "trackingNumber", message: "trackingNumber is required" },
+        ])
+      }
+
+      shipment.status = status
+      shipment.shippedAt = shipment.shippedAt || new Date()
+      if (status === "delivered") {
+        shipment.deliveredAt = new Date()
+      }
+    }
+
+    await shipment.save()
+
+    const order = await findOrder(req.params.id)
+    const updatedOrder = await syncOrderFulfillment(order, { actor: req.user._id, shipment })
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { shipment, orderStatus: updatedOrder.status }, "Shipment updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
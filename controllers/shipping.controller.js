@@ -0,0 +1,79 @@
+import ShippingMethod from "../models/shipping-method.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+
+// Get all shipping methods (admin only)
+export const getShippingMethods = async (req, res, next) => {
+  try {
+    const { isActive } = req.query
+
+    const query = {}
+    if (isActive !== undefined) query.isActive = isActive === "true"
+
+    const shippingMethods = await ShippingMethod.find(query).sort({ sortOrder: 1, name: 1 })
+
+    return res.status(200).json(new ApiResponse(200, shippingMethods, "Shipping methods retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Get shipping method by ID (admin only)
+export const getShippingMethodById = async (req, res, next) => {
+  try {
+    const shippingMethod = await ShippingMethod.findById(req.params.id)
+
+    if (!shippingMethod) {
+      throw new ApiError(404, "Shipping method not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, shippingMethod, "Shipping method retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create new shipping method (admin only)
+export const createShippingMethod = async (req, res, next) => {
+  try {
+    const shippingMethod = new ShippingMethod(req.body)
+    await shippingMethod.save()
+
+    return res.status(201).json(new ApiResponse(201, shippingMethod, "Shipping method created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update shipping method (admin only)
+export const updateShippingMethod = async (req, res, next) => {
+  try {
+    const shippingMethod = await ShippingMethod.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!shippingMethod) {
+      throw new ApiError(404, "Shipping method not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, shippingMethod, "Shipping method updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete shipping method (admin only)
+export const deleteShippingMethod = async (req, res, next) => {
+  try {
+    const shippingMethod = await ShippingMethod.findByIdAndDelete(req.params.id)
+
+    if (!shippingMethod) {
+      throw new ApiError(404, "Shipping method not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Shipping method deleted successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
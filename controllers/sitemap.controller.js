@@ -0,0 +1,41 @@
+import Product from "../models/product.model.js"
+import Category from "../models/category.model.js"
+
+// Escape characters that are not allowed in XML text
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+
+const toUrlEntry = (loc, lastmod) =>
+  `  <url>\n    <loc>${escapeXml(loc)}</loc>\n    <lastmod>${lastmod.toISOString()}</lastmod>\n  </url>\n`
+
+// Get sitemap of active products and categories
+export const getSitemap = async (req, res, next) => {
+  try {
+    const baseUrl = (process.env.FRONTEND_URL || "").replace(/\/+$/, "")
+
+    const categories = await Category.find({ isActive: true }).select("slug updatedAt").sort({ slug: 1 }).lean()
+    const products = await Product.find({ status: "active", slug: { $exists: true } })
+      .select("slug updatedAt")
+      .sort({ slug: 1 })
+      .lean()
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+    for (const category of categories) {
+      xml += toUrlEntry(`${baseUrl}/categories/${encodeURIComponent(category.slug)}`, category.updatedAt)
+    }
+    for (const product of products) {
+      xml += toUrlEntry(`${baseUrl}/products/${encodeURIComponent(product.slug)}`, product.updatedAt)
+    }
+    xml += "</urlset>\n"
+
+    res.setHeader("Content-Type", "application/xml; charset=utf-8")
+    return res.status(200).send(xml)
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,64 @@
+import TaxRule from "../models/tax-rule.model.js"
+import { ApiError } from "../utils/api-error.js"
+import { ApiResponse } from "../utils/api-response.js"
+
+// Get all tax rules (admin only)
+export const getTaxRules = async (req, res, next) => {
+  try {
+    const { country, state, taxClass, isActive } = req.query
+
+    const query = {}
+    if (country) query.country = country.toUpperCase()
+    if (state) query.state = state.toUpperCase()
+    if (taxClass) query.taxClass = taxClass
+    if (isActive !== undefined) query.isActive = isActive === "true"
+
+    const taxRules = await TaxRule.find(query).sort({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 })
+
+    return res.status(200).json(new ApiResponse(200, taxRules, "Tax rules retrieved successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Create new tax rule (admin only)
+export const createTaxRule = async (req, res, next) => {
+  try {
+    const taxRule = new TaxRule(req.body)
+    await taxRule.save()
+
+    return res.status(201).json(new ApiResponse(201, taxRule, "Tax rule created successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Update tax rule (admin only)
+export const updateTaxRule = async (req, res, next) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
+
+    if (!taxRule) {
+      throw new ApiError(404, "Tax rule not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, taxRule, "Tax rule updated successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Delete tax rule (admin only)
+export const deleteTaxRule = async (req, res, next) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndDelete(req.params.id)
+
+    if (!taxRule) {
+      throw new ApiError(404, "Tax rule not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Tax rule deleted successfully"))
+  } catch (error) {
+    next(error)
+  }
+}
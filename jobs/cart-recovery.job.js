@@ -0,0 +1,22 @@
+import { processAbandonedCarts } from "../utils/cart-recovery.js"
+
+// Periodically email shoppers who left items in their cart
+export const startCartRecoveryJob = () => {
+  const interval = (Number(process.env.CART_RECOVERY_SWEEP_MINUTES) || 30) * 60 * 1000
+
+  const timer = setInterval(async () => {
+    try {
+      const { reminders, followUps } = await processAbandonedCarts()
+      if (reminders > 0 || followUps > 0) {
+        console.log(`Sent ${reminders} abandoned cart reminders and ${followUps} follow-ups`)
+      }
+    } catch (error) {
+      console.error("Error sending abandoned cart reminders:", error)
+    }
+  }, interval)
+
+  // Do not keep the process alive just for this job
+  timer.unref()
+
+  return timer
+}
@@ -0,0 +1,28 @@
+import { cancelUnpaidOrders, reconcileStalePayments } from "../utils/order-status.js"
+
+// Periodically release stock held by orders whose payment never completed
+export const startReservationExpiryJob = () => {
+  const interval = (Number(process.env.STOCK_RESERVATION_SWEEP_SECONDS) || 60) * 1000
+
+  const timer = setInterval(async () => {
+    try {
+      // Settle abandoned payments first, so an order that was charged is never cancelled
+      const settled = await reconcileStalePayments()
+      if (settled > 0) {
+        console.log(`Settled ${settled} abandoned payments`)
+      }
+
+      const cancelled = await cancelUnpaidOrders()
+      if (cancelled > 0) {
+        console.log(`Cancelled ${cancelled} unpaid orders and released their stock`)
+      }
+    } catch (error) {
+      console.error("Error releasing expired stock reservations:", error)
+    }
+  }, interval)
+
+  // Do not keep the process alive just for this job
+  timer.unref()
+
+  return timer
+}
@@ -0,0 +1,68 @@
+import { ApiError } from "../utils/api-error.js"
+import {
+  GUEST_CART_COOKIE,
+  GUEST_CART_HEADER,
+  getGuestCartTtl,
+  issueGuestCartToken,
+  verifyGuestCartToken,
+} from "../utils/guest-cart-token.js"
+
+// Read a single cookie from the request without a cookie parser
+const readCookie = (req, name) => {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(";") : []
+
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split("=")
+    if (key === name) return decodeURIComponent(value.join("="))
+  }
+
+  return null
+}
+
+// Send the guest cart token back as both a response header and a cookie
+export const setGuestCartToken = (res, token) => {
+  res.setHeader(GUEST_CART_HEADER, token)
+  res.cookie(GUEST_CART_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: getGuestCartTtl(),
+  })
+}
+
+// Remove the guest cart cookie once the cart belongs to a user
+export const clearGuestCartToken = (res) => {
+  res.clearCookie(GUEST_CART_COOKIE)
+}
+
+// Resolve the guest cart session from the signed token, optionally issuing one to new guests
+// Routes that must keep working with a stale token can drop it instead of rejecting the request
+export const guestCart = ({ issue = false, ignoreInvalid = false } = {}) => {
+  return (req, res, next) => {
+    const token = req.headers[GUEST_CART_HEADER] || readCookie(req, GUEST_CART_COOKIE)
+
+    if (token) {
+      const sessionId = verifyGuestCartToken(token)
+      if (!sessionId) {
+        if (!ignoreInvalid) {
+          return next(new ApiError(401, "Invalid guest cart token"))
+        }
+
+        clearGuestCartToken(res)
+        return next()
+      }
+
+      req.guestSessionId = sessionId
+      return next()
+    }
+
+    // Logged in users use their own cart and never need a guest token
+    if (issue && !req.user) {
+      const { sessionId, token: newToken } = issueGuestCartToken()
+      setGuestCartToken(res, newToken)
+      req.guestSessionId = sessionId
+    }
+
+    next()
+  }
+}
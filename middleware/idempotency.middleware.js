@@ -0,0 +1,99 @@
+import crypto from "crypto"
+import IdempotencyKey from "../models/idempotency-key.model.js"
+import { ApiError } from "../utils/api-error.js"
+
+export const IDEMPOTENCY_HEADER = "idempotency-key"
+export const IDEMPOTENT_REPLAY_HEADER = "Idempotent-Replayed"
+
+// How long a stored response can be replayed
+const getIdempotencyKeyTtl = () => (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000
+
+// How long a request may hold its key before a retry can take over, covering requests that crashed or timed out
+const getIdempotencyLease = () => (Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60) * 1000
+
+// Identify who sent the request so the same key from different callers never collides
+const getCaller = (req) => {
+  if (req.user) return `user:${req.user.id}`
+  if (req.guestSessionId) return `guest:${req.guestSessionId}`
+  return `ip:${req.ip}`
+}
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+    .digest("hex")
+
+// Replay the stored response when a request is retried with the same Idempotency-Key header
+// Only successful responses are stored, a failed request releases its key so it can be retried
+export const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.headers[IDEMPOTENCY_HEADER]
+    if (!key) return next()
+
+    if (key.length > 255) {
+      return next(new ApiError(400, "Idempotency-Key must be at most 255 characters"))
+    }
+
+    const caller = getCaller(req)
+    const requestHash = hashRequest(req)
+
+    let record
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        caller,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        expiresAt: new Date(Date.now() + getIdempotencyKeyTtl()),
+      })
+    } catch (error) {
+      if (error.code !== 11000) return next(error)
+
+      const existing = await IdempotencyKey.findOne({ key, caller })
+      if (!existing) {
+        return next(new ApiError(409, "A request with this Idempotency-Key just finished, please retry"))
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return next(new ApiError(422, "Idempotency-Key has already been used for a different request"))
+      }
+
+      if (existing.status === "completed") {
+        res.setHeader(IDEMPOTENT_REPLAY_HEADER, "true")
+        return res.status(existing.responseStatus).json(existing.responseBody)
+      }
+
+      // Take over a key whose request stopped without answering, only one retry can win it
+      const abandoned = !existing.startedAt || existing.startedAt.getTime() <= Date.now() - getIdempotencyLease()
+      record = abandoned
+        ? await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: "processing", startedAt: existing.startedAt ?? null },
+            { startedAt: new Date(), expiresAt: new Date(Date.now() + getIdempotencyKeyTtl()) },
+            { new: true },
+          )
+        : null
+
+      if (!record) {
+        return next(new ApiError(409, "A request with this Idempotency-Key is still being processed"))
+      }
+    }
+
+    // Store the response as it is sent, unless a retry has taken the key over in the meantime
+    const held = { _id: record._id, startedAt: record.startedAt }
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      const stored =
+        res.statusCode < 400
+          ? IdempotencyKey.updateOne(held, { status: "completed", responseStatus: res.statusCode, responseBody: body })
+          : IdempotencyKey.deleteOne(held)
+
+      stored.catch((error) => console.error("Error storing idempotent response:", error))
+
+      return json(body)
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,25 @@
+import multer from "multer"
+import { ApiError } from "../utils/api-error.js"
+
+const IMPORT_MIME_TYPES = ["text/csv", "application/json", "application/vnd.ms-excel", "text/plain"]
+
+// Accept a single CSV or JSON file held in memory
+export const uploadImportFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Number(process.env.IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024 },
+    fileFilter: (req, file, callback) => {
+      if (!IMPORT_MIME_TYPES.includes(file.mimetype) && !/\.(csv|json)$/i.test(file.originalname)) {
+        return callback(new ApiError(400, "Only CSV and JSON files can be imported"))
+      }
+      callback(null, true)
+    },
+  }).single("file")
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new ApiError(400, error.message))
+    }
+    next(error)
+  })
+}
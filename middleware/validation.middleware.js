@@ -1,8 +1,9 @@
 import { ApiError } from "../utils/api-error.js"
 
-export const validateRequest = (schema) => {
+// Validate the request body, or another part of the request such as the query string
+export const validateRequest = (schema, property = "body") => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, {
+    const { error } = schema.validate(req[property], {
       abortEarly: false,
       context: {
         user: req.user,
@@ -0,0 +1,90 @@
+import mongoose from "mongoose"
+
+const reminderSchema = new mongoose.Schema(
+  {
+    stage: {
+      type: String,
+      enum: ["reminder", "follow_up"],
+      required: true,
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// One abandonment of a cart, from the first reminder until it is ordered or given up on
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Used in restore and unsubscribe links
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Last activity on the cart when it was found idle, a newer one starts a new abandonment
+    cartUpdatedAt: {
+      type: Date,
+      required: true,
+    },
+    cartTotal: {
+      type: Number,
+      default: 0,
+    },
+    itemCount: {
+      type: Number,
+      default: 0,
+    },
+    reminders: [reminderSchema],
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+    },
+    promotionCode: String,
+    status: {
+      type: String,
+      enum: ["abandoned", "recovered"],
+      default: "abandoned",
+    },
+    restoredAt: Date,
+    recoveredAt: Date,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    recoveredTotal: Number,
+    optedOut: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Never track the same idle period of a cart twice
+cartRecoverySchema.index({ cart: 1, cartUpdatedAt: 1 }, { unique: true })
+cartRecoverySchema.index({ status: 1, createdAt: -1 })
+cartRecoverySchema.index({ email: 1, optedOut: 1 })
+
+const CartRecovery = mongoose.model("CartRecovery", cartRecoverySchema)
+
+export default CartRecovery
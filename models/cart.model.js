@@ -1,4 +1,7 @@
 import mongoose from "mongoose"
+import { getGuestCartTtl } from "../utils/guest-cart-token.js"
+import { calculateTax, allocateDiscount } from "../utils/tax.js"
+import { getBaseCurrency, resolveCurrency, roundAmount } from "../utils/currency.js"
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -22,8 +25,48 @@ const cartItemSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  availability: {
+    type: String,
+    enum: ["available", "out_of_stock", "inactive"],
+    default: "available",
+  },
+  taxClass: String,
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
 })
 
+const priceChangeSchema = new mongoose.Schema(
+  {
+    item: mongoose.Schema.Types.ObjectId,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    previousPrice: Number,
+    price: Number,
+  },
+  { _id: false },
+)
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: String,
+    taxClass: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+  },
+  { _id: false },
+)
+
 const cartSchema = new mongoose.Schema(
   {
     user: {
@@ -34,13 +77,52 @@ const cartSchema = new mongoose.Schema(
       type: String,
       sparse: true,
     },
+    // Contact address captured from a guest, used for abandoned cart reminders
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
     items: [cartItemSchema],
+    // Item prices and totals are in this currency, converted from the base currency at exchangeRate
+    currency: {
+      type: String,
+      uppercase: true,
+      default: getBaseCurrency,
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+    // Material price changes the shopper has not acknowledged yet
+    priceChanges: [priceChangeSchema],
     appliedCoupons: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Promotion",
       },
     ],
+    discounts: [
+      {
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        code: String,
+        type: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+          default: 0,
+        },
+        eligible: {
+          type: Boolean,
+          default: true,
+        },
+        reason: String,
+      },
+    ],
     subtotal: {
       type: Number,
       default: 0,
@@ -53,6 +135,20 @@ const cartSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    shippingTax: {
+      type: Number,
+      default: 0,
+    },
+    taxBreakdown: [taxLineSchema],
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    shippingAddress: {
+      country: String,
+      state: String,
+      postalCode: String,
+    },
     shippingTotal: {
       type: Number,
       default: 0,
@@ -61,6 +157,13 @@ const cartSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Set while a checkout holds the cart contents fixed
+    checkout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Checkout",
+    },
+    lockedUntil: Date,
+    expiresAt: Date,
   },
   {
     timestamps: true,
@@ -71,17 +174,222 @@ const cartSchema = new mongoose.Schema(
 cartSchema.index({ user: 1 }, { unique: true, sparse: true })
 cartSchema.index({ sessionId: 1 }, { unique: true, sparse: true })
 
-// Method to recalculate cart totals
-cartSchema.methods.recalculateTotals = function () {
-  this.subtotal = this.items.reduce((total, item) => {
-    if (!item.savedForLater) {
-      return total + item.price * item.quantity
+// Guest carts are removed automatically once expiresAt has passed
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Push back the expiry of guest carts on every change
+cartSchema.pre("save", function (next) {
+  this.expiresAt = this.user ? undefined : new Date(Date.now() + getGuestCartTtl())
+  next()
+})
+
+// Check whether an active checkout currently holds the cart contents fixed
+cartSchema.methods.isLocked = function () {
+  return Boolean(this.checkout && this.lockedUntil && this.lockedUntil > new Date())
+}
+
+// Currency and rate used to price the cart lines
+cartSchema.methods.getPricing = function () {
+  return { currency: this.currency || getBaseCurrency(), rate: this.exchangeRate || 1 }
+}
+
+// Lines that will be ordered, leaving out saved and unavailable ones
+cartSchema.methods.getActiveItems = function () {
+  return this.items.filter((item) => !item.savedForLater && (item.availability || "available") === "available")
+}
+
+// Share of a price increase tolerated without asking the shopper to acknowledge it
+const getPriceChangeTolerance = () => Number(process.env.CART_PRICE_CHANGE_TOLERANCE_PERCENT) || 0
+
+// Re-check every line in the cart against the current product and variant
+// Updates prices, caps quantities to stock and flags unavailable lines, returning a list of the changes made
+cartSchema.methods.revalidateItems = async function ({ includeSaved = false } = {}) {
+  const changes = []
+
+  // Pick up the current exchange rate, falling back to the base currency once the cart's currency is withdrawn
+  let pricing
+  try {
+    pricing = await resolveCurrency(this.currency)
+  } catch (error) {
+    pricing = await resolveCurrency(getBaseCurrency())
+    changes.push({ type: "currency_changed", previousCurrency: this.currency, currency: pricing.currency })
+  }
+  this.currency = pricing.currency
+  this.exchangeRate = pricing.rate
+
+  const items = this.items.filter((item) => includeSaved || !item.savedForLater)
+  const products = await mongoose
+    .model("Product")
+    .find({ _id: { $in: items.map((item) => item.product._id || item.product) } })
+  const productsById = new Map(products.map((product) => [product.id, product]))
+  const removed = []
+
+  for (const item of items) {
+    const productId = item.product._id || item.product
+    const product = productsById.get(productId.toString())
+    const purchasable = product ? product.resolveVariant(item.variant, pricing) : null
+    const change = { item: item._id, product: productId, variant: item.variant || null, name: product?.name }
+
+    // Lines whose product or variant was deleted cannot be bought again
+    if (!purchasable) {
+      removed.push(item._id.toString())
+      changes.push({ ...change, type: "removed", reason: "Product is no longer available" })
+      continue
     }
-    return total
-  }, 0)
 
-  // Calculate grand total (subtotal - discounts + tax + shipping)
-  this.grandTotal = this.subtotal - this.discountTotal + this.taxTotal + this.shippingTotal
+    const previousAvailability = item.availability
+    if (product.status !== "active") {
+      item.availability = "inactive"
+    } else if (purchasable.stock <= 0) {
+      item.availability = "out_of_stock"
+    } else {
+      item.availability = "available"
+    }
+
+    if (item.availability !== previousAvailability) {
+      changes.push({ ...change, type: item.availability === "available" ? "available" : item.availability })
+    }
+
+    if (item.availability === "available" && purchasable.stock < item.quantity) {
+      changes.push({
+        ...change,
+        type: "quantity_reduced",
+        previousQuantity: item.quantity,
+        quantity: purchasable.stock,
+      })
+      item.quantity = purchasable.stock
+    }
+
+    if (purchasable.price !== item.price) {
+      const previousPrice = item.price
+      const increase = ((purchasable.price - previousPrice) / previousPrice) * 100
+      const material = increase > getPriceChangeTolerance()
+
+      changes.push({ ...change, type: "price_changed", previousPrice, price: purchasable.price, material })
+      item.price = purchasable.price
+
+      // Keep the price the shopper originally saw until they acknowledge the change
+      const pending = this.priceChanges.find((priceChange) => priceChange.item?.toString() === item._id.toString())
+      if (pending) {
+        pending.price = purchasable.price
+      } else if (material) {
+        this.priceChanges.push({ ...change, previousPrice, price: purchasable.price })
+      }
+    }
+  }
+
+  this.items = this.items.filter((item) => !removed.includes(item._id.toString()))
+
+  // Drop pending changes that no longer apply, such as removed lines or prices that went back down
+  this.priceChanges = this.priceChanges.filter((priceChange) => {
+    const item = this.items.find((line) => line._id.toString() === priceChange.item?.toString())
+    return item && item.price > priceChange.previousPrice
+  })
+
+  return changes
+}
+
+// Method to recalculate cart totals, including coupon discounts and tax at the shipping address
+cartSchema.methods.recalculateTotals = async function ({ address } = {}) {
+  if (address) {
+    this.shippingAddress = { country: address.country, state: address.state, postalCode: address.postalCode }
+  }
+
+  const { currency, rate } = this.getPricing()
+  const activeItems = this.getActiveItems()
+
+  this.subtotal = roundAmount(activeItems.reduce((total, item) => total + item.price * item.quantity, 0), currency)
+
+  const productIds = activeItems.map((item) => item.product._id || item.product)
+  const products = await mongoose
+    .model("Product")
+    .find({ _id: { $in: productIds } })
+    .select("category subcategory taxClass")
+  const productsById = new Map(products.map((product) => [product.id, product]))
+
+  const items = activeItems.map((item) => {
+    const productId = (item.product._id || item.product).toString()
+    const product = productsById.get(productId)
+    return {
+      key: item._id.toString(),
+      product: productId,
+      category: product?.category,
+      subcategory: product?.subcategory,
+      taxClass: product?.taxClass,
+      price: item.price,
+      quantity: item.quantity,
+    }
+  })
+
+  // Evaluate coupons against the current cart contents
+  this.discounts = []
+  if (this.appliedCoupons.length > 0) {
+    const user = this.user ? await mongoose.model("User").findById(this.user).select("customerGroup") : null
+    const promotions = await mongoose
+      .model("Promotion")
+      .find({ _id: { $in: this.appliedCoupons.map((coupon) => coupon._id || coupon) } })
+
+    for (const promotion of promotions) {
+      const { eligible, reason, amount } = promotion.evaluate({
+        items,
+        subtotal: this.subtotal,
+        shippingTotal: this.shippingTotal,
+        customerGroup: user ? user.customerGroup : "regular",
+        currency,
+        exchangeRate: rate,
+      })
+      this.discounts.push({
+        promotion: promotion._id,
+        code: promotion.code,
+        type: promotion.type,
+        amount,
+        eligible,
+        reason,
+      })
+    }
+  }
+
+  // Discounts can never exceed what is being charged
+  const sumDiscounts = (discounts) => discounts.reduce((total, discount) => total + discount.amount, 0)
+  const itemDiscount = Math.min(
+    sumDiscounts(this.discounts.filter((discount) => discount.type !== "free_shipping")),
+    this.subtotal,
+  )
+  const shippingDiscount = Math.min(
+    sumDiscounts(this.discounts.filter((discount) => discount.type === "free_shipping")),
+    this.shippingTotal,
+  )
+  this.discountTotal = roundAmount(itemDiscount + shippingDiscount, currency)
+
+  // Tax is charged on what the customer pays after discounts
+  const tax = await calculateTax({
+    lines: allocateDiscount(
+      items.map((item) => ({ key: item.key, taxClass: item.taxClass, amount: item.price * item.quantity })),
+      itemDiscount,
+      currency,
+    ),
+    shippingTotal: this.shippingTotal - shippingDiscount,
+    address: this.shippingAddress,
+    currency,
+  })
+  const taxByItem = new Map(tax.lines.map((line) => [line.key, line]))
+
+  for (const item of this.items) {
+    const line = taxByItem.get(item._id.toString())
+    item.taxClass = line ? line.taxClass : undefined
+    item.taxRate = line ? line.rate : 0
+    item.taxAmount = line ? line.amount : 0
+  }
+  this.taxTotal = tax.taxTotal
+  this.shippingTax = tax.shippingTax
+  this.taxBreakdown = tax.breakdown
+  this.pricesIncludeTax = tax.pricesIncludeTax
+
+  // Calculate grand total (subtotal - discounts + tax + shipping), inclusive prices already contain the tax
+  this.grandTotal = roundAmount(
+    this.subtotal - this.discountTotal + this.shippingTotal + (tax.pricesIncludeTax ? 0 : this.taxTotal),
+    currency,
+  )
 
   return this
 }
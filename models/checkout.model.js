@@ -0,0 +1,157 @@
+import mongoose from "mongoose"
+
+const CHECKOUT_STEPS = ["contact", "shipping_address", "shipping_method", "billing_address", "payment"]
+
+const checkoutAddressSchema = new mongoose.Schema(
+  {
+    firstName: {
+      type: String,
+      required: true,
+    },
+    lastName: {
+      type: String,
+      required: true,
+    },
+    addressLine1: {
+      type: String,
+      required: true,
+    },
+    addressLine2: String,
+    city: {
+      type: String,
+      required: true,
+    },
+    state: {
+      type: String,
+      required: true,
+    },
+    postalCode: {
+      type: String,
+      required: true,
+    },
+    country: {
+      type: String,
+      required: true,
+    },
+    phone: String,
+  },
+  { _id: false },
+)
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: String,
+    taxClass: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+  },
+  { _id: false },
+)
+
+const checkoutSchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sessionId: String,
+    status: {
+      type: String,
+      enum: ["active", "completing", "completed", "cancelled", "expired"],
+      default: "active",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    shippingAddress: checkoutAddressSchema,
+    shippingMethod: {
+      code: String,
+      name: String,
+      price: Number,
+      estimatedDeliveryDays: {
+        min: Number,
+        max: Number,
+      },
+    },
+    billingAddress: checkoutAddressSchema,
+    paymentMethod: String,
+    notes: String,
+    // Totals as of the last step in the cart currency, recalculated every time a step changes
+    currency: String,
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    discountTotal: {
+      type: Number,
+      default: 0,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    shippingTax: {
+      type: Number,
+      default: 0,
+    },
+    taxBreakdown: [taxLineSchema],
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    shippingTotal: {
+      type: Number,
+      default: 0,
+    },
+    grandTotal: {
+      type: Number,
+      default: 0,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+checkoutSchema.index({ cart: 1, status: 1 })
+
+// Steps that still have to be filled in before the checkout can be completed
+checkoutSchema.virtual("requiredSteps").get(function () {
+  const done = {
+    contact: Boolean(this.email),
+    shipping_address: Boolean(this.shippingAddress?.country),
+    shipping_method: Boolean(this.shippingMethod?.code),
+    billing_address: Boolean(this.billingAddress?.country),
+    payment: Boolean(this.paymentMethod),
+  }
+
+  return CHECKOUT_STEPS.filter((step) => !done[step])
+})
+
+// Check whether the checkout can still be changed or completed
+checkoutSchema.methods.isOpen = function () {
+  return this.status === "active" && this.expiresAt > new Date()
+}
+
+const Checkout = mongoose.model("Checkout", checkoutSchema)
+
+export default Checkout
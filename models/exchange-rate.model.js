@@ -0,0 +1,33 @@
+import mongoose from "mongoose"
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    // ISO 4217 code of the currency being converted to
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 3,
+    },
+    // Units of this currency per unit of the store base currency
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema)
+
+export default ExchangeRate
@@ -0,0 +1,56 @@
+import mongoose from "mongoose"
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // The user or guest session that sent the request, keys are never shared between callers
+    caller: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // Hash of the method, path and body, a retry must match it exactly
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // When the request holding the key started, a processing request older than the lease is taken as abandoned
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+idempotencyKeySchema.index({ key: 1, caller: 1 }, { unique: true })
+
+// Stored keys are removed automatically once expiresAt has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema)
+
+export default IdempotencyKey
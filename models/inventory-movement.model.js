@@ -0,0 +1,45 @@
+import mongoose from "mongoose"
+
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: String,
+    delta: {
+      type: Number,
+      required: true,
+    },
+    balance: Number,
+    reason: {
+      type: String,
+      enum: ["sale", "cancellation", "return", "adjustment", "import"],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    note: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 })
+inventoryMovementSchema.index({ order: 1 })
+
+const InventoryMovement = mongoose.model("InventoryMovement", inventoryMovementSchema)
+
+export default InventoryMovement
@@ -0,0 +1,125 @@
+import mongoose from "mongoose"
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    name: String,
+    sku: String,
+    quantity: Number,
+    unitPrice: Number,
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    taxRate: {
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    total: Number,
+  },
+  { _id: false },
+)
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+  },
+  { _id: false },
+)
+
+// Invoices and credit notes keep a copy of everything printed on them, so they never change once issued
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    // Numbers run without gaps within each type
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    // Credit notes are for a refund and reference the invoice they correct
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    invoiceNumber: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    company: {
+      name: String,
+      address: [String],
+      email: String,
+      phone: String,
+      taxId: String,
+    },
+    customerEmail: String,
+    billingAddress: {
+      firstName: String,
+      lastName: String,
+      addressLine1: String,
+      addressLine2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+      phone: String,
+    },
+    lines: [invoiceLineSchema],
+    coupons: [
+      {
+        _id: false,
+        code: String,
+        discount: Number,
+      },
+    ],
+    currency: String,
+    pricesIncludeTax: Boolean,
+    subtotal: Number,
+    discountTotal: Number,
+    shippingTotal: Number,
+    taxTotal: Number,
+    taxBreakdown: [taxLineSchema],
+    total: Number,
+    reason: String,
+    note: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+invoiceSchema.index({ type: 1, sequence: -1 }, { unique: true })
+invoiceSchema.index({ order: 1, type: 1 })
+// One invoice per order and one credit note per refund
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: "invoice" } })
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { refund: { $exists: true } } })
+
+const Invoice = mongoose.model("Invoice", invoiceSchema)
+
+export default Invoice
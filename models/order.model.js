@@ -1,4 +1,16 @@
 import mongoose from "mongoose"
+import { getBaseCurrency, roundAmount } from "../utils/currency.js"
+
+const ORDER_STATUSES = [
+  "pending",
+  "processing",
+  "partially_shipped",
+  "shipped",
+  "delivered",
+  "partially_refunded",
+  "cancelled",
+  "refunded",
+]
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -9,6 +21,10 @@ const orderItemSchema = new mongoose.Schema({
   variant: {
     type: mongoose.Schema.Types.ObjectId,
   },
+  variantAttributes: {
+    size: String,
+    color: String,
+  },
   name: {
     type: String,
     required: true,
@@ -30,8 +46,40 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  taxClass: String,
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+  // This line's share of the coupon discounts, used to work out refunds
+  discountAmount: Number,
+  // Units already put in a shipment, counted atomically so concurrent shipments never ship more than was ordered
+  shippedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Units in returns that have not been rejected, counted the same way so concurrent returns never exceed the line
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+  },
 })
 
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: String,
+    taxClass: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+  },
+  { _id: false },
+)
+
 const orderAddressSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -76,6 +124,8 @@ const orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // Guest cart session the order was placed from, lets the guest pay for it
+    sessionId: String,
     email: {
       type: String,
       required: true,
@@ -88,6 +138,8 @@ const orderSchema = new mongoose.Schema(
       required: true,
     },
     paymentId: String,
+    // When a payment request claimed the order, claims that outlive it are settled by the reservation job
+    paymentClaimedAt: Date,
     shippingMethod: {
       type: String,
       required: true,
@@ -95,14 +147,14 @@ const orderSchema = new mongoose.Schema(
     shippingTrackingNumber: String,
     status: {
       type: String,
-      enum: ["pending", "processing", "shipped", "delivered", "cancelled", "refunded"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
     statusHistory: [
       {
         status: {
           type: String,
-          enum: ["pending", "processing", "shipped", "delivered", "cancelled", "refunded"],
+          enum: ORDER_STATUSES,
         },
         timestamp: {
           type: Date,
@@ -123,6 +175,15 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    shippingTax: {
+      type: Number,
+      default: 0,
+    },
+    taxBreakdown: [taxLineSchema],
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
     shippingTotal: {
       type: Number,
       default: 0,
@@ -131,9 +192,28 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Sum of the refunds paid back to the customer, see the Refund ledger
+    refundedTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Amounts are in this currency, converted from the base currency at exchangeRate when the order was placed
+    currency: {
+      type: String,
+      uppercase: true,
+      default: getBaseCurrency,
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
     notes: String,
     appliedCoupons: [
       {
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
         code: String,
         discount: Number,
       },
@@ -142,9 +222,56 @@ const orderSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   },
 )
 
+// What the customer has paid once refunds are taken off
+orderSchema.virtual("netPaid").get(function () {
+  return roundAmount((this.grandTotal || 0) - (this.refundedTotal || 0), this.currency)
+})
+
+// Count units of order lines against one of their counters, only while it stays within the quantity ordered
+// Lines counted before one that does not fit are given back, so either every line is counted or none is
+orderSchema.statics.reserveItemQuantities = async function (order, field, lines) {
+  const counted = []
+
+  for (const line of lines) {
+    const orderItem = order.items.id(line.orderItem)
+    const { modifiedCount } = await this.updateOne(
+      {
+        _id: order._id,
+        items: {
+          $elemMatch: {
+            _id: orderItem._id,
+            $or: [{ [field]: { $lte: orderItem.quantity - line.quantity } }, { [field]: null }],
+          },
+        },
+      },
+      { $inc: { [`items.$.${field}`]: line.quantity } },
+    )
+
+    if (modifiedCount === 0) {
+      await this.releaseItemQuantities(order._id, field, counted)
+      return false
+    }
+    counted.push(line)
+  }
+
+  return true
+}
+
+// Give back units counted by reserveItemQuantities
+orderSchema.statics.releaseItemQuantities = async function (orderId, field, lines) {
+  for (const line of lines) {
+    await this.updateOne(
+      { _id: orderId, "items._id": line.orderItem },
+      { $inc: { [`items.$.${field}`]: -line.quantity } },
+    )
+  }
+}
+
 // Generate order number before saving
 orderSchema.pre("save", async function (next) {
   if (this.isNew) {
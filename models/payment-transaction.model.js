@@ -0,0 +1,53 @@
+import mongoose from "mongoose"
+
+// Charges and refunds as recorded by the local mock payment provider
+const paymentTransactionSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["charge", "refund"],
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // For refunds, the charge being refunded
+    parentReference: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    method: String,
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+      default: "succeeded",
+    },
+    reason: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+paymentTransactionSchema.index({ parentReference: 1, type: 1 })
+
+const PaymentTransaction = mongoose.model("PaymentTransaction", paymentTransactionSchema)
+
+export default PaymentTransaction
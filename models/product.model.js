@@ -1,4 +1,24 @@
 import mongoose from "mongoose"
+import { generateUniqueSlug } from "../utils/slugify.js"
+import { getLocalPrice } from "../utils/currency.js"
+
+// Explicit price in a currency, used instead of converting the base price
+const localPriceSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    compareAtPrice: Number,
+  },
+  { _id: false },
+)
 
 const productVariantSchema = new mongoose.Schema({
   size: String,
@@ -8,6 +28,7 @@ const productVariantSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  prices: [localPriceSchema],
   stock: {
     type: Number,
     required: true,
@@ -26,6 +47,12 @@ const productSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    previousSlugs: [String],
     description: {
       type: String,
       required: true,
@@ -37,6 +64,7 @@ const productSchema = new mongoose.Schema(
     compareAtPrice: {
       type: Number,
     },
+    prices: [localPriceSchema],
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -66,6 +94,17 @@ const productSchema = new mongoose.Schema(
       required: true,
       default: 0,
     },
+    weight: Number,
+    taxClass: {
+      type: String,
+      enum: ["standard", "reduced", "exempt"],
+      default: "standard",
+    },
+    lowStockThreshold: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
     sku: {
       type: String,
       required: true,
@@ -105,6 +144,76 @@ productSchema.index({
   tags: "text",
 })
 
+productSchema.index({ previousSlugs: 1 })
+
+// Generate the slug from the name and keep old slugs resolvable after a rename
+productSchema.pre("validate", async function (next) {
+  try {
+    if (!this.slug || (this.isModified("name") && !this.isModified("slug"))) {
+      this.slug = await generateUniqueSlug(this.constructor, this.name, {
+        excludeId: this._id,
+        fields: ["slug", "previousSlugs"],
+      })
+    }
+
+    if (!this.isNew && this.isModified("slug")) {
+      const original = await this.constructor.findById(this._id).select("slug").lean()
+
+      if (original && original.slug && original.slug !== this.slug && !this.previousSlugs.includes(original.slug)) {
+        this.previousSlugs.push(original.slug)
+      }
+      this.previousSlugs = this.previousSlugs.filter((slug) => slug !== this.slug)
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Resolve the price, stock and SKU of the product or one of its variants
+// Prices are in the base currency unless a { currency, rate } pricing is given
+productSchema.methods.resolveVariant = function (variantId, pricing = null) {
+  const priceOf = (source) => (pricing ? getLocalPrice(source, "price", pricing) : source.price)
+
+  if (!variantId) {
+    return { variant: null, price: priceOf(this), stock: this.stock, sku: this.sku }
+  }
+
+  const variant = this.variants.id(variantId)
+  if (!variant) {
+    return null
+  }
+
+  return { variant, price: priceOf(variant), stock: variant.stock, sku: variant.sku }
+}
+
+// Plain product with its prices in the pricing's currency, for listings
+productSchema.methods.toLocalizedJSON = function (pricing) {
+  const product = this.toJSON()
+
+  return {
+    ...product,
+    currency: pricing.currency,
+    price: getLocalPrice(this, "price", pricing),
+    compareAtPrice: getLocalPrice(this, "compareAtPrice", pricing),
+    variants: (product.variants || []).map((variant, index) => ({
+      ...variant,
+      price: getLocalPrice(this.variants[index], "price", pricing),
+    })),
+  }
+}
+
+// Keep the ids of existing variants when variants are replaced, matching them by SKU
+productSchema.methods.preserveVariantIds = function (variants) {
+  if (!Array.isArray(variants)) return variants
+
+  return variants.map((variant) => {
+    const existing = this.variants.find((current) => current.sku === variant.sku)
+    return existing && !variant._id ? { ...variant, _id: existing._id } : variant
+  })
+}
+
 const Product = mongoose.model("Product", productSchema)
 
 export default Product
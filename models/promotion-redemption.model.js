@@ -0,0 +1,63 @@
+import mongoose from "mongoose"
+import { getBaseCurrency } from "../utils/currency.js"
+
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    code: String,
+    discount: {
+      type: Number,
+      required: true,
+    },
+    orderTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Currency of the discount and the order total
+    currency: {
+      type: String,
+      uppercase: true,
+      default: getBaseCurrency,
+    },
+    status: {
+      type: String,
+      enum: ["active", "reversed"],
+      default: "active",
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reversedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One redemption per promotion per order
+promotionRedemptionSchema.index({ order: 1, promotion: 1 }, { unique: true })
+promotionRedemptionSchema.index({ promotion: 1, status: 1, user: 1 })
+promotionRedemptionSchema.index({ promotion: 1, status: 1, email: 1 })
+
+const PromotionRedemption = mongoose.model("PromotionRedemption", promotionRedemptionSchema)
+
+export default PromotionRedemption
@@ -1,4 +1,5 @@
 import mongoose from "mongoose"
+import { roundAmount } from "../utils/currency.js"
 
 const promotionSchema = new mongoose.Schema(
   {
@@ -109,6 +110,107 @@ promotionSchema.methods.isValid = function (currentDate = new Date()) {
   )
 }
 
+// Check whether a cart line is covered by the promotion's product and category restrictions
+promotionSchema.methods.appliesToItem = function (item) {
+  const { products = [], categories = [] } = this.applicableTo || {}
+  if (products.length === 0 && categories.length === 0) return true
+
+  const matches = (ids, id) => Boolean(id) && ids.some((candidate) => candidate.toString() === id.toString())
+
+  return (
+    matches(products, item.product) || matches(categories, item.category) || matches(categories, item.subcategory)
+  )
+}
+
+// Evaluate the promotion against a cart, returning whether it applies and the discount it gives
+// Items are plain lines of { product, category, subcategory, price, quantity }
+// Cart amounts are in the cart currency, so fixed amounts entered in the base currency are converted with exchangeRate
+promotionSchema.methods.evaluate = function ({
+  items,
+  subtotal,
+  shippingTotal = 0,
+  customerGroup = "regular",
+  currency,
+  exchangeRate = 1,
+}) {
+  if (!this.isValid()) {
+    return { eligible: false, reason: "This coupon is not active or has expired", amount: 0 }
+  }
+
+  const customerGroups = this.applicableTo?.customerGroups || []
+  if (customerGroups.length > 0 && !customerGroups.includes(customerGroup)) {
+    return { eligible: false, reason: "This coupon is not available for your account", amount: 0 }
+  }
+
+  const minPurchase = roundAmount((this.minPurchase || 0) * exchangeRate, currency)
+  if (subtotal < minPurchase) {
+    return { eligible: false, reason: `A minimum purchase of ${minPurchase} is required`, amount: 0 }
+  }
+
+  const eligibleItems = items.filter((item) => this.appliesToItem(item))
+  if (eligibleItems.length === 0) {
+    return { eligible: false, reason: "This coupon does not apply to any item in your cart", amount: 0 }
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce((total, item) => total + item.price * item.quantity, 0)
+  let amount = 0
+
+  switch (this.type) {
+    case "percentage":
+      amount = (eligibleSubtotal * this.value) / 100
+      break
+    case "fixed":
+      amount = Math.min(this.value * exchangeRate, eligibleSubtotal)
+      break
+    case "free_shipping":
+      amount = shippingTotal
+      break
+    case "buy_x_get_y": {
+      const { buyX, getY } = this.conditions || {}
+      if (!buyX?.product || !buyX.quantity || !getY?.product || !getY.quantity) {
+        return { eligible: false, reason: "This coupon is not configured correctly", amount: 0 }
+      }
+
+      const quantityOf = (productId) =>
+        items
+          .filter((item) => item.product.toString() === productId.toString())
+          .reduce((total, item) => total + item.quantity, 0)
+      const rewardLines = items.filter((item) => item.product.toString() === getY.product.toString())
+
+      // When X and Y are the same product, each reward needs X + Y units in the cart
+      const sameProduct = buyX.product.toString() === getY.product.toString()
+      const groups = sameProduct
+        ? Math.floor(quantityOf(buyX.product) / (buyX.quantity + getY.quantity))
+        : Math.floor(quantityOf(buyX.product) / buyX.quantity)
+      let rewardUnits = Math.min(groups * getY.quantity, quantityOf(getY.product))
+
+      if (rewardUnits === 0) {
+        return {
+          eligible: false,
+          reason: `Buy ${buyX.quantity} of the qualifying product to use this coupon`,
+          amount: 0,
+        }
+      }
+
+      // Reward the cheapest Y units first
+      const percentOff = getY.discount ?? 100
+      for (const line of [...rewardLines].sort((a, b) => a.price - b.price)) {
+        const units = Math.min(rewardUnits, line.quantity)
+        amount += (line.price * units * percentOff) / 100
+        rewardUnits -= units
+        if (rewardUnits === 0) break
+      }
+      break
+    }
+  }
+
+  if (this.maxDiscount) {
+    amount = Math.min(amount, this.maxDiscount * exchangeRate)
+  }
+
+  return { eligible: true, reason: null, amount: roundAmount(amount, currency) }
+}
+
 const Promotion = mongoose.model("Promotion", promotionSchema)
 
 export default Promotion
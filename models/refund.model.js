@@ -0,0 +1,112 @@
+import mongoose from "mongoose"
+
+export const REFUND_REASONS = [
+  "return",
+  "requested_by_customer",
+  "damaged",
+  "not_received",
+  "duplicate",
+  "goodwill",
+  "other",
+]
+
+const refundItemSchema = new mongoose.Schema(
+  {
+    // Id of the line in order.items being refunded
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: String,
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Refunded for these units after discounts, without tax
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+)
+
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+    },
+    // Total refunded in the order currency
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    items: [refundItemSchema],
+    includesShipping: {
+      type: Boolean,
+      default: false,
+    },
+    shippingAmount: {
+      type: Number,
+      default: 0,
+    },
+    includesTax: {
+      type: Boolean,
+      default: true,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    reason: {
+      type: String,
+      enum: REFUND_REASONS,
+      required: true,
+    },
+    note: String,
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    provider: String,
+    // The charge refunded and the provider's reference for the refund itself
+    paymentReference: String,
+    providerReference: String,
+    failureReason: String,
+    creditNote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+refundSchema.index({ order: 1, createdAt: 1 })
+
+const Refund = mongoose.model("Refund", refundSchema)
+
+export default Refund
@@ -0,0 +1,107 @@
+import mongoose from "mongoose"
+
+export const RETURN_REASONS = ["damaged", "defective", "wrong_item", "not_as_described", "no_longer_needed", "other"]
+
+const RETURN_STATUSES = ["requested", "approved", "rejected", "received", "completed"]
+
+const returnItemSchema = new mongoose.Schema({
+  // Id of the line in order.items being sent back
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  name: String,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true,
+  },
+  // What the customer paid for one unit, after discounts and with tax, in the order currency
+  unitRefund: {
+    type: Number,
+    default: 0,
+  },
+  // Whether the received item went back into stock or was written off
+  resolution: {
+    type: String,
+    enum: ["restocked", "written_off"],
+  },
+  resolvedAt: Date,
+})
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: [(items) => items.length > 0, "A return needs at least one item"],
+    },
+    comments: String,
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: RETURN_STATUSES,
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+        note: String,
+      },
+    ],
+    currency: String,
+    // Set on approval and credited to the order once the items are received
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+    rejectionReason: String,
+    approvedAt: Date,
+    receivedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+returnRequestSchema.index({ order: 1, createdAt: 1 })
+returnRequestSchema.index({ user: 1, createdAt: -1 })
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema)
+
+export default ReturnRequest
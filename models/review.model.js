@@ -0,0 +1,78 @@
+import mongoose from "mongoose"
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+    },
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    moderationNote: String,
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    helpfulVoters: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Ensure a user can only review a product once
+reviewSchema.index({ product: 1, user: 1 }, { unique: true })
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 })
+
+// Recalculate the aggregate rating of a product from its approved reviews
+reviewSchema.statics.recalculateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: "approved" } },
+    { $group: { _id: "$product", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ])
+
+  const ratings = {
+    average: stats ? Math.round(stats.average * 10) / 10 : 0,
+    count: stats ? stats.count : 0,
+  }
+
+  await mongoose.model("Product").updateOne({ _id: productId }, { ratings })
+
+  return ratings
+}
+
+const Review = mongoose.model("Review", reviewSchema)
+
+export default Review
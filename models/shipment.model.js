@@ -0,0 +1,58 @@
+import mongoose from "mongoose"
+
+const shipmentItemSchema = new mongoose.Schema(
+  {
+    // Id of the line in order.items this quantity comes from
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false },
+)
+
+const shipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    items: {
+      type: [shipmentItemSchema],
+      validate: [(items) => items.length > 0, "A shipment needs at least one item"],
+    },
+    carrier: String,
+    trackingNumber: String,
+    trackingUrl: String,
+    status: {
+      type: String,
+      enum: ["pending", "shipped", "delivered"],
+      default: "pending",
+    },
+    shippedAt: Date,
+    deliveredAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+shipmentSchema.index({ order: 1, createdAt: 1 })
+
+const Shipment = mongoose.model("Shipment", shipmentSchema)
+
+export default Shipment
@@ -0,0 +1,118 @@
+import mongoose from "mongoose"
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: String,
+  countries: [
+    {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+  ],
+  states: [
+    {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+  ],
+})
+
+const shippingRateSchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      default: 0,
+    },
+    max: {
+      type: Number,
+      default: null,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+)
+
+const shippingMethodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: String,
+    zones: [shippingZoneSchema],
+    rateType: {
+      type: String,
+      enum: ["flat", "weight", "order_value"],
+      default: "flat",
+    },
+    flatRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Tiers by total weight or by order subtotal, depending on rateType
+    rates: [shippingRateSchema],
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+    },
+    estimatedDeliveryDays: {
+      min: Number,
+      max: Number,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Check whether one of the method's zones covers the address
+shippingMethodSchema.methods.coversAddress = function ({ country, state }) {
+  const countryCode = String(country || "").toUpperCase()
+  const stateCode = String(state || "").toUpperCase()
+
+  return this.zones.some(
+    (zone) => zone.countries.includes(countryCode) && (zone.states.length === 0 || zone.states.includes(stateCode)),
+  )
+}
+
+// Price the method for a shipment, returning null when no rate applies
+shippingMethodSchema.methods.calculateRate = function ({ subtotal, weight }) {
+  if (this.freeShippingThreshold !== null && subtotal >= this.freeShippingThreshold) {
+    return 0
+  }
+
+  if (this.rateType === "flat") {
+    return this.flatRate
+  }
+
+  const value = this.rateType === "weight" ? weight : subtotal
+  const tier = this.rates.find((rate) => value >= rate.min && (rate.max === null || value < rate.max))
+
+  return tier ? tier.rate : null
+}
+
+const ShippingMethod = mongoose.model("ShippingMethod", shippingMethodSchema)
+
+export default ShippingMethod
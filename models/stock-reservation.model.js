@@ -0,0 +1,48 @@
+import mongoose from "mongoose"
+
+const reservationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+})
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    items: [reservationItemSchema],
+    status: {
+      type: String,
+      enum: ["active", "committed", "released", "expired"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    releasedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+stockReservationSchema.index({ order: 1 }, { unique: true })
+stockReservationSchema.index({ status: 1, expiresAt: 1 })
+
+const StockReservation = mongoose.model("StockReservation", stockReservationSchema)
+
+export default StockReservation
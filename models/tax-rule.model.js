@@ -0,0 +1,73 @@
+import mongoose from "mongoose"
+
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    postalPrefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    taxClass: {
+      type: String,
+      enum: ["standard", "reduced", "exempt"],
+      default: "standard",
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    appliesToShipping: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+taxRuleSchema.index({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 }, { unique: true })
+
+// Check whether the rule covers an address
+taxRuleSchema.methods.matches = function ({ country, state, postalCode }) {
+  if (this.country !== String(country || "").toUpperCase()) return false
+  if (this.state && this.state !== String(state || "").toUpperCase()) return false
+  if (this.postalPrefix) {
+    const normalize = (value) => String(value || "").toUpperCase().replace(/\s/g, "")
+    if (!normalize(postalCode).startsWith(normalize(this.postalPrefix))) return false
+  }
+  return true
+}
+
+// Rank matching rules so postal prefixes beat states and states beat whole countries
+taxRuleSchema.methods.getSpecificity = function () {
+  return (this.postalPrefix ? 100 + this.postalPrefix.length : 0) + (this.state ? 10 : 0)
+}
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema)
+
+export default TaxRule
@@ -95,6 +95,10 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    marketingOptOut: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
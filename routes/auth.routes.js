@@ -9,6 +9,7 @@ import {
 } from "../controllers/auth.controller.js"
 import { authenticate } from "../middleware/auth.middleware.js"
 import { validateRequest } from "../middleware/validation.middleware.js"
+import { guestCart } from "../middleware/guest-cart.middleware.js"
 import {
   registerSchema,
   loginSchema,
@@ -18,9 +19,9 @@ import {
 
 const router = express.Router()
 
-// Public routes
-router.post("/register", validateRequest(registerSchema), register)
-router.post("/login", validateRequest(loginSchema), login)
+// Public routes, a stale guest cart token must never block signing in
+router.post("/register", guestCart({ ignoreInvalid: true }), validateRequest(registerSchema), register)
+router.post("/login", guestCart({ ignoreInvalid: true }), validateRequest(loginSchema), login)
 router.get("/verify-email/:token", verifyEmail)
 router.post("/forgot-password", validateRequest(forgotPasswordSchema), forgotPassword)
 router.post("/reset-password", validateRequest(resetPasswordSchema), resetPassword)
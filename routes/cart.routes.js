@@ -1,16 +1,62 @@
 import express from "express"
-import { getCart, addToCart, updateCartItem, removeFromCart, clearCart } from "../controllers/cart.controller.js"
-import { optionalAuth } from "../middleware/auth.middleware.js"
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+  getShippingQuotes,
+  acknowledgePriceChanges,
+  getSavedItems,
+  saveItemForLater,
+  moveItemToCart,
+  setCartEmail,
+  setCartCurrency,
+} from "../controllers/cart.controller.js"
+import {
+  restoreCart,
+  unsubscribeFromCartReminders,
+  getCartRecoveryReport,
+} from "../controllers/cart-recovery.controller.js"
+import { authenticate, authorize, optionalAuth } from "../middleware/auth.middleware.js"
+import { guestCart } from "../middleware/guest-cart.middleware.js"
 import { validateRequest } from "../middleware/validation.middleware.js"
-import { addToCartSchema, updateCartItemSchema } from "../validations/cart.validation.js"
+import {
+  addToCartSchema,
+  updateCartItemSchema,
+  applyCouponSchema,
+  shippingQuoteSchema,
+  cartEmailSchema,
+  cartCurrencySchema,
+} from "../validations/cart.validation.js"
 
 const router = express.Router()
 
-// All routes use optionalAuth to handle both logged in and guest users
-router.get("/", optionalAuth, getCart)
-router.post("/", optionalAuth, validateRequest(addToCartSchema), addToCart)
-router.put("/items", optionalAuth, validateRequest(updateCartItemSchema), updateCartItem)
-router.delete("/items/:itemId", optionalAuth, removeFromCart)
-router.delete("/", optionalAuth, clearCart)
+// All routes handle both logged in users and guests, issuing a guest cart token on first use
+const cartSession = [optionalAuth, guestCart({ issue: true })]
+
+router.get("/", cartSession, getCart)
+router.post("/", cartSession, validateRequest(addToCartSchema), addToCart)
+router.put("/items", cartSession, validateRequest(updateCartItemSchema), updateCartItem)
+router.delete("/items/:itemId", cartSession, removeFromCart)
+router.get("/saved", cartSession, getSavedItems)
+router.post("/items/:itemId/save-for-later", cartSession, saveItemForLater)
+router.post("/items/:itemId/move-to-cart", cartSession, moveItemToCart)
+router.delete("/", cartSession, clearCart)
+router.post("/coupons", cartSession, validateRequest(applyCouponSchema), applyCoupon)
+router.delete("/coupons/:code", cartSession, removeCoupon)
+router.post("/price-changes/acknowledge", cartSession, acknowledgePriceChanges)
+router.post("/shipping-quotes", cartSession, validateRequest(shippingQuoteSchema), getShippingQuotes)
+router.put("/email", cartSession, validateRequest(cartEmailSchema), setCartEmail)
+router.put("/currency", cartSession, validateRequest(cartCurrencySchema), setCartCurrency)
+
+// Abandoned cart recovery links from reminder emails
+router.post("/restore/:token", optionalAuth, restoreCart)
+router.post("/recovery/:token/unsubscribe", unsubscribeFromCartReminders)
+
+// Admin routes
+router.get("/recovery/report", authenticate, authorize("admin"), getCartRecoveryReport)
 
 export default router
@@ -0,0 +1,35 @@
+import express from "express"
+import {
+  getCategories,
+  getCategoryTree,
+  getCategoryById,
+  getCategoryBySlug,
+  getCategoryBreadcrumbs,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { createCategorySchema, updateCategorySchema, moveCategorySchema } from "../validations/category.validation.js"
+
+const router = express.Router()
+
+// Public routes
+router.get("/", getCategories)
+router.get("/tree", getCategoryTree)
+router.get("/slug/:slug", getCategoryBySlug)
+router.get("/:id", getCategoryById)
+router.get("/:id/breadcrumbs", getCategoryBreadcrumbs)
+
+// Protected routes (admin only)
+router.post("/", authenticate, authorize("admin"), validateRequest(createCategorySchema), createCategory)
+
+router.put("/:id", authenticate, authorize("admin"), validateRequest(updateCategorySchema), updateCategory)
+
+router.put("/:id/move", authenticate, authorize("admin"), validateRequest(moveCategorySchema), moveCategory)
+
+router.delete("/:id", authenticate, authorize("admin"), deleteCategory)
+
+export default router
@@ -0,0 +1,61 @@
+import express from "express"
+import {
+  createCheckout,
+  getCheckout,
+  updateCheckoutContact,
+  updateCheckoutShippingAddress,
+  updateCheckoutShippingMethod,
+  updateCheckoutBillingAddress,
+  updateCheckoutPayment,
+  completeCheckout,
+  cancelCheckout,
+} from "../controllers/checkout.controller.js"
+import { optionalAuth } from "../middleware/auth.middleware.js"
+import { guestCart } from "../middleware/guest-cart.middleware.js"
+import { idempotency } from "../middleware/idempotency.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import {
+  createCheckoutSchema,
+  checkoutContactSchema,
+  checkoutShippingAddressSchema,
+  checkoutShippingMethodSchema,
+  checkoutBillingAddressSchema,
+  checkoutPaymentSchema,
+  completeCheckoutSchema,
+} from "../validations/checkout.validation.js"
+
+const router = express.Router()
+
+// All routes handle both logged in users and guests with a guest cart token
+const checkoutSession = [optionalAuth, guestCart()]
+
+router.post("/", checkoutSession, validateRequest(createCheckoutSchema), createCheckout)
+router.get("/:id", checkoutSession, getCheckout)
+
+// Steps can be filled in and changed in any order
+router.put("/:id/contact", checkoutSession, validateRequest(checkoutContactSchema), updateCheckoutContact)
+router.put(
+  "/:id/shipping-address",
+  checkoutSession,
+  validateRequest(checkoutShippingAddressSchema),
+  updateCheckoutShippingAddress,
+)
+router.put(
+  "/:id/shipping-method",
+  checkoutSession,
+  validateRequest(checkoutShippingMethodSchema),
+  updateCheckoutShippingMethod,
+)
+router.put(
+  "/:id/billing-address",
+  checkoutSession,
+  validateRequest(checkoutBillingAddressSchema),
+  updateCheckoutBillingAddress,
+)
+router.put("/:id/payment", checkoutSession, validateRequest(checkoutPaymentSchema), updateCheckoutPayment)
+
+// Completing places the order, retries with the same Idempotency-Key are replayed
+router.post("/:id/complete", checkoutSession, idempotency(), validateRequest(completeCheckoutSchema), completeCheckout)
+router.delete("/:id", checkoutSession, cancelCheckout)
+
+export default router
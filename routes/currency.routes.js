@@ -0,0 +1,24 @@
+import express from "express"
+import {
+  getCurrencies,
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+} from "../controllers/currency.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { exchangeRateSchema } from "../validations/currency.validation.js"
+
+const router = express.Router()
+
+// Public routes
+router.get("/", getCurrencies)
+
+// Protected routes (admin only)
+router.get("/rates", authenticate, authorize("admin"), getExchangeRates)
+router.post("/rates", authenticate, authorize("admin"), validateRequest(exchangeRateSchema), createExchangeRate)
+router.put("/rates/:id", authenticate, authorize("admin"), validateRequest(exchangeRateSchema), updateExchangeRate)
+router.delete("/rates/:id", authenticate, authorize("admin"), deleteExchangeRate)
+
+export default router
@@ -0,0 +1,20 @@
+import express from "express"
+import {
+  createStockAdjustment,
+  getInventoryMovements,
+  getLowStockReport,
+} from "../controllers/inventory.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { stockAdjustmentSchema } from "../validations/inventory.validation.js"
+
+const router = express.Router()
+
+// All inventory routes are admin only
+router.use(authenticate, authorize("admin"))
+
+router.get("/movements", getInventoryMovements)
+router.get("/low-stock", getLowStockReport)
+router.post("/adjustments", validateRequest(stockAdjustmentSchema), createStockAdjustment)
+
+export default router
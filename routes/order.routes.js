@@ -6,21 +6,39 @@ import {
   updateOrderStatus,
   cancelOrder,
 } from "../controllers/order.controller.js"
+import { createReturn, getOrderReturns } from "../controllers/return.controller.js"
+import { getOrderInvoice, getOrderCreditNotes, getOrderCreditNote } from "../controllers/invoice.controller.js"
 import { authenticate, authorize, optionalAuth } from "../middleware/auth.middleware.js"
+import { guestCart } from "../middleware/guest-cart.middleware.js"
+import { idempotency } from "../middleware/idempotency.middleware.js"
 import { validateRequest } from "../middleware/validation.middleware.js"
 import { createOrderSchema, updateOrderStatusSchema } from "../validations/order.validation.js"
+import { createReturnSchema } from "../validations/return.validation.js"
+import shipmentRoutes from "./shipment.routes.js"
 
 const router = express.Router()
 
-// Create order (works for both logged in and guest users)
-router.post("/", optionalAuth, validateRequest(createOrderSchema), createOrder)
+// Create order (works for both logged in and guest users), retries with the same Idempotency-Key are replayed
+router.post("/", optionalAuth, guestCart(), idempotency(), validateRequest(createOrderSchema), createOrder)
 
 // Get user orders (requires authentication)
 router.get("/", authenticate, getUserOrders)
 router.get("/:id", authenticate, getOrderById)
 
 // Cancel order (requires authentication)
-router.post("/:id/cancel", authenticate, cancelOrder)
+router.post("/:id/cancel", authenticate, idempotency(), cancelOrder)
+
+// Invoice and credit notes (order owner or admin)
+router.get("/:id/invoice", authenticate, getOrderInvoice)
+router.get("/:id/credit-notes", authenticate, getOrderCreditNotes)
+router.get("/:id/credit-notes/:creditNoteId", authenticate, getOrderCreditNote)
+
+// Return items of a delivered order
+router.get("/:id/returns", authenticate, getOrderReturns)
+router.post("/:id/returns", authenticate, validateRequest(createReturnSchema), createReturn)
+
+// Order shipments
+router.use("/:id/shipments", shipmentRoutes)
 
 // Admin routes
 router.put("/:id/status", authenticate, authorize("admin"), validateRequest(updateOrderStatusSchema), updateOrderStatus)
@@ -0,0 +1,28 @@
+import express from "express"
+import { payOrder, getOrderRefunds, createRefund } from "../controllers/payment.controller.js"
+import { authenticate, authorize, optionalAuth } from "../middleware/auth.middleware.js"
+import { guestCart } from "../middleware/guest-cart.middleware.js"
+import { idempotency } from "../middleware/idempotency.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { createRefundSchema } from "../validations/payment.validation.js"
+
+const router = express.Router()
+
+// Pay for an order, guests pay with the guest cart token the order was placed with
+// Retries with the same Idempotency-Key are replayed instead of charging twice
+router.post("/orders/:id/pay", optionalAuth, guestCart(), idempotency(), payOrder)
+
+// Order refunds (owner or admin)
+router.get("/orders/:id/refunds", authenticate, getOrderRefunds)
+
+// Admin routes
+router.post(
+  "/orders/:id/refunds",
+  authenticate,
+  authorize("admin"),
+  idempotency(),
+  validateRequest(createRefundSchema),
+  createRefund,
+)
+
+export default router
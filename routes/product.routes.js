@@ -2,24 +2,37 @@ import express from "express"
 import {
   getProducts,
   getProductById,
+  getProductBySlug,
   createProduct,
   updateProduct,
   deleteProduct,
   searchProducts,
   getRelatedProducts,
+  importProducts,
+  exportProducts,
 } from "../controllers/product.controller.js"
 import { authenticate, authorize } from "../middleware/auth.middleware.js"
 import { validateRequest } from "../middleware/validation.middleware.js"
-import { productSchema } from "../validations/product.validation.js"
+import { uploadImportFile } from "../middleware/upload.middleware.js"
+import { productQuerySchema, productSchema } from "../validations/product.validation.js"
+import reviewRoutes from "./review.routes.js"
 
 const router = express.Router()
 
+// Bulk import and export (admin only)
+router.get("/export", authenticate, authorize("admin"), exportProducts)
+router.post("/import", authenticate, authorize("admin"), uploadImportFile, importProducts)
+
 // Public routes
-router.get("/", getProducts)
-router.get("/search", searchProducts)
+router.get("/", validateRequest(productQuerySchema, "query"), getProducts)
+router.get("/search", validateRequest(productQuerySchema, "query"), searchProducts)
+router.get("/slug/:slug", getProductBySlug)
 router.get("/:id", getProductById)
 router.get("/:id/related", getRelatedProducts)
 
+// Product reviews
+router.use("/:id/reviews", reviewRoutes)
+
 // Protected routes (admin only)
 router.post("/", authenticate, authorize("admin"), validateRequest(productSchema), createProduct)
 
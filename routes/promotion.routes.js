@@ -0,0 +1,28 @@
+import express from "express"
+import {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  getPromotionsReport,
+  getPromotionReport,
+} from "../controllers/promotion.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { promotionSchema } from "../validations/promotion.validation.js"
+
+const router = express.Router()
+
+// All promotion management routes are admin only
+router.use(authenticate, authorize("admin"))
+
+router.get("/", getPromotions)
+router.get("/report", getPromotionsReport)
+router.get("/:id", getPromotionById)
+router.get("/:id/report", getPromotionReport)
+router.post("/", validateRequest(promotionSchema), createPromotion)
+router.put("/:id", validateRequest(promotionSchema), updatePromotion)
+router.delete("/:id", deletePromotion)
+
+export default router
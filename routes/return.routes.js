@@ -0,0 +1,32 @@
+import express from "express"
+import {
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  resolveReturnItem,
+} from "../controllers/return.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { returnNoteSchema, rejectReturnSchema, resolveReturnItemSchema } from "../validations/return.validation.js"
+
+const router = express.Router()
+
+// Returns of the current user (all returns for admins)
+router.get("/", authenticate, getReturns)
+router.get("/:id", authenticate, getReturnById)
+
+// Admin routes
+router.put("/:id/approve", authenticate, authorize("admin"), validateRequest(returnNoteSchema), approveReturn)
+router.put("/:id/reject", authenticate, authorize("admin"), validateRequest(rejectReturnSchema), rejectReturn)
+router.put("/:id/receive", authenticate, authorize("admin"), validateRequest(returnNoteSchema), receiveReturn)
+router.put(
+  "/:id/items/:itemId",
+  authenticate,
+  authorize("admin"),
+  validateRequest(resolveReturnItemSchema),
+  resolveReturnItem,
+)
+
+export default router
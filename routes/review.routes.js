@@ -0,0 +1,40 @@
+import express from "express"
+import {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteReviewHelpful,
+  moderateReview,
+} from "../controllers/review.controller.js"
+import { authenticate, authorize, optionalAuth } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import {
+  createReviewSchema,
+  updateReviewSchema,
+  moderateReviewSchema,
+  reviewQuerySchema,
+} from "../validations/review.validation.js"
+
+// Mounted under /api/products/:id/reviews
+const router = express.Router({ mergeParams: true })
+
+// Public routes (admins may also list pending and rejected reviews)
+router.get("/", optionalAuth, validateRequest(reviewQuerySchema, "query"), getProductReviews)
+
+// Protected routes
+router.post("/", authenticate, validateRequest(createReviewSchema), createReview)
+router.put("/:reviewId", authenticate, validateRequest(updateReviewSchema), updateReview)
+router.delete("/:reviewId", authenticate, deleteReview)
+router.post("/:reviewId/helpful", authenticate, voteReviewHelpful)
+
+// Admin routes
+router.put(
+  "/:reviewId/moderate",
+  authenticate,
+  authorize("admin"),
+  validateRequest(moderateReviewSchema),
+  moderateReview,
+)
+
+export default router
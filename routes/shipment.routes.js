@@ -0,0 +1,17 @@
+import express from "express"
+import { getOrderShipments, createShipment, updateShipment } from "../controllers/shipment.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { createShipmentSchema, updateShipmentSchema } from "../validations/shipment.validation.js"
+
+// Mounted under /api/orders/:id/shipments
+const router = express.Router({ mergeParams: true })
+
+// Order owner or admin
+router.get("/", authenticate, getOrderShipments)
+
+// Admin routes
+router.post("/", authenticate, authorize("admin"), validateRequest(createShipmentSchema), createShipment)
+router.put("/:shipmentId", authenticate, authorize("admin"), validateRequest(updateShipmentSchema), updateShipment)
+
+export default router
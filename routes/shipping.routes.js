@@ -0,0 +1,24 @@
+import express from "express"
+import {
+  getShippingMethods,
+  getShippingMethodById,
+  createShippingMethod,
+  updateShippingMethod,
+  deleteShippingMethod,
+} from "../controllers/shipping.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { shippingMethodSchema } from "../validations/shipping.validation.js"
+
+const router = express.Router()
+
+// All shipping method routes are admin only
+router.use(authenticate, authorize("admin"))
+
+router.get("/", getShippingMethods)
+router.get("/:id", getShippingMethodById)
+router.post("/", validateRequest(shippingMethodSchema), createShippingMethod)
+router.put("/:id", validateRequest(shippingMethodSchema), updateShippingMethod)
+router.delete("/:id", deleteShippingMethod)
+
+export default router
@@ -0,0 +1,9 @@
+import express from "express"
+import { getSitemap } from "../controllers/sitemap.controller.js"
+
+const router = express.Router()
+
+// Public routes
+router.get("/sitemap.xml", getSitemap)
+
+export default router
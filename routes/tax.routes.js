@@ -0,0 +1,17 @@
+import express from "express"
+import { getTaxRules, createTaxRule, updateTaxRule, deleteTaxRule } from "../controllers/tax.controller.js"
+import { authenticate, authorize } from "../middleware/auth.middleware.js"
+import { validateRequest } from "../middleware/validation.middleware.js"
+import { taxRuleSchema } from "../validations/tax.validation.js"
+
+const router = express.Router()
+
+// All tax rule routes are admin only
+router.use(authenticate, authorize("admin"))
+
+router.get("/", getTaxRules)
+router.post("/", validateRequest(taxRuleSchema), createTaxRule)
+router.put("/:id", validateRequest(taxRuleSchema), updateTaxRule)
+router.delete("/:id", deleteTaxRule)
+
+export default router
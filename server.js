@@ -11,7 +11,16 @@ import orderRoutes from "./routes/order.routes.js"
 import paymentRoutes from "./routes/payment.routes.js"
 import promotionRoutes from "./routes/promotion.routes.js"
 import wishlistRoutes from "./routes/wishlist.routes.js"
+import inventoryRoutes from "./routes/inventory.routes.js"
+import taxRoutes from "./routes/tax.routes.js"
+import shippingRoutes from "./routes/shipping.routes.js"
+import sitemapRoutes from "./routes/sitemap.routes.js"
+import checkoutRoutes from "./routes/checkout.routes.js"
+import currencyRoutes from "./routes/currency.routes.js"
+import returnRoutes from "./routes/return.routes.js"
 import { errorHandler } from "./middleware/error.middleware.js"
+import { startReservationExpiryJob } from "./jobs/reservation.job.js"
+import { startCartRecoveryJob } from "./jobs/cart-recovery.job.js"
 
 dotenv.config()
 
@@ -19,7 +28,7 @@ const app = express()
 const PORT = process.env.PORT || 5000
 
 // Middleware
-app.use(cors())
+app.use(cors({ exposedHeaders: ["X-Guest-Cart-Token", "Idempotent-Replayed"] }))
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
@@ -29,10 +38,17 @@ app.use("/api/categories", categoryRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/auth", authRoutes)
 app.use("/api/cart", cartRoutes)
+app.use("/api/checkout", checkoutRoutes)
 app.use("/api/orders", orderRoutes)
+app.use("/api/returns", returnRoutes)
 app.use("/api/payments", paymentRoutes)
 app.use("/api/promotions", promotionRoutes)
 app.use("/api/wishlist", wishlistRoutes)
+app.use("/api/inventory", inventoryRoutes)
+app.use("/api/tax-rules", taxRoutes)
+app.use("/api/shipping-methods", shippingRoutes)
+app.use("/api/currencies", currencyRoutes)
+app.use("/", sitemapRoutes)
 
 // Root route
 app.get("/", (req, res) => {
@@ -47,6 +63,8 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log("Connected to MongoDB")
+    startReservationExpiryJob()
+    startCartRecoveryJob()
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`)
     })
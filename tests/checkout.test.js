@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { query, runController } from "./helpers.js"
+import Cart from "../models/cart.model.js"
+import Checkout from "../models/checkout.model.js"
+import { completeCheckout } from "../controllers/checkout.controller.js"
+
+let checkout
+let cart
+
+beforeEach(() => {
+  checkout = {
+    _id: new mongoose.Types.ObjectId(),
+    status: "active",
+    requiredSteps: [],
+    isOpen: () => true,
+  }
+  cart = {
+    _id: new mongoose.Types.ObjectId(),
+    checkout: checkout._id,
+    isLocked: () => true,
+    revalidateItems: mock.fn(async () => []),
+  }
+
+  mock.method(Checkout, "findOne", () => query(checkout))
+  mock.method(Cart, "findById", () => query(cart))
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+const complete = () =>
+  runController(completeCheckout, { params: { id: checkout._id.toString() }, body: {}, user: { id: "user-1" } })
+
+describe("completeCheckout", () => {
+  test("claims the checkout only while it is still active", async () => {
+    const claim = mock.method(Checkout, "findOneAndUpdate", () => query(null))
+
+    const { error } = await complete()
+
+    assert.equal(error.statusCode, 409)
+    assert.equal(error.message, "This checkout is already being completed")
+    assert.deepEqual(claim.mock.calls[0].arguments.slice(0, 2), [
+      { _id: checkout._id, status: "active" },
+      { status: "completing" },
+    ])
+    assert.equal(cart.revalidateItems.mock.callCount(), 0)
+  })
+
+  test("gives the checkout back when its cart can no longer be ordered", async () => {
+    cart.checkout = new mongoose.Types.ObjectId()
+    mock.method(Checkout, "findOneAndUpdate", () => query({ ...checkout, status: "completing" }))
+    const release = mock.method(Checkout, "updateOne", () => query({ modifiedCount: 1 }))
+
+    const { error } = await complete()
+
+    assert.equal(error.statusCode, 409)
+    assert.equal(error.message, "This cart is locked by an active checkout, complete or cancel it first")
+    assert.deepEqual(release.mock.calls[0].arguments, [
+      { _id: checkout._id, status: "completing" },
+      { status: "active" },
+    ])
+  })
+
+  test("gives the checkout back when checking the cart fails", async () => {
+    cart.revalidateItems = mock.fn(async () => {
+      throw new Error("database unavailable")
+    })
+    mock.method(Checkout, "findOneAndUpdate", () => query({ ...checkout, status: "completing" }))
+    const release = mock.method(Checkout, "updateOne", () => query({ modifiedCount: 1 }))
+
+    const { error } = await complete()
+
+    assert.equal(error.message, "database unavailable")
+    assert.equal(release.mock.callCount(), 1)
+  })
+})
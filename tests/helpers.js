@@ -0,0 +1,71 @@
+import { mock } from "node:test"
+import mongoose from "mongoose"
+import Order from "../models/order.model.js"
+
+// Tests run without a database, any query a test does not stub fails straight away instead of waiting to connect
+mongoose.set("bufferCommands", false)
+
+// Resolve to a value like a query would, keeping the query methods the code chains on it
+export const query = (value) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  }
+  return chain
+}
+
+// Error the driver throws when a unique index rejects a write
+export const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+
+// Express response that records what was sent
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code
+      return res
+    },
+    json(body) {
+      res.body = body
+      return res
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value
+    },
+    cookie() {},
+    clearCookie() {},
+  }
+  return res
+}
+
+// Run a controller and return the response, or the error it passed on to next
+export const runController = async (controller, req) => {
+  const res = createResponse()
+  let error
+  await controller(req, res, (nextError) => {
+    error = nextError
+  })
+  return { res, error }
+}
+
+// Keep a counter of each order line in memory, keyed by line id, applying the conditional updates
+// Order.reserveItemQuantities and Order.releaseItemQuantities send
+export const stubItemCounters = (counts) =>
+  mock.method(Order, "updateOne", (filter, update) => {
+    const [path, delta] = Object.entries(update.$inc)[0]
+    const field = path.split(".").pop()
+    const match = filter.items?.$elemMatch
+    const key = (match ? match._id : filter["items._id"]).toString()
+
+    if (match && counts[key] > match.$or[0][field].$lte) {
+      return query({ modifiedCount: 0 })
+    }
+
+    counts[key] += delta
+    return query({ modifiedCount: 1 })
+  })
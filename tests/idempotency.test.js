@@ -0,0 +1,115 @@
+import { afterEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { createResponse, duplicateKeyError, query } from "./helpers.js"
+import IdempotencyKey from "../models/idempotency-key.model.js"
+import { idempotency } from "../middleware/idempotency.middleware.js"
+
+const LEASE = 60 * 1000
+
+const createRequest = (body = { cart: "abc" }) => ({
+  method: "POST",
+  originalUrl: "/api/checkout",
+  headers: { "idempotency-key": "key-1" },
+  body,
+  user: { id: "user-1" },
+})
+
+// Run the middleware against a key that is already stored, built from what the request would have created
+const retry = async (stored, req = createRequest()) => {
+  mock.method(IdempotencyKey, "create", async (data) => {
+    mock.method(IdempotencyKey, "findOne", () => query({ _id: "record-1", ...data, ...stored }))
+    throw duplicateKeyError()
+  })
+
+  const res = createResponse()
+  let nextCalls = 0
+  let error
+  await idempotency()(req, res, (nextError) => {
+    nextCalls += 1
+    error = nextError
+  })
+
+  return { res, error, nextCalls }
+}
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+describe("idempotency", () => {
+  test("stores a successful response against the key the request claimed", async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), startedAt: new Date() }
+    mock.method(IdempotencyKey, "create", async () => record)
+    const update = mock.method(IdempotencyKey, "updateOne", () => Promise.resolve())
+
+    const res = createResponse()
+    await idempotency()(createRequest(), res, () => {})
+    res.status(201).json({ ok: true })
+
+    const [filter, change] = update.mock.calls[0].arguments
+    assert.deepEqual(filter, record)
+    assert.equal(change.status, "completed")
+    assert.equal(change.responseStatus, 201)
+  })
+
+  test("releases the key when the request fails", async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), startedAt: new Date() }
+    mock.method(IdempotencyKey, "create", async () => record)
+    const remove = mock.method(IdempotencyKey, "deleteOne", () => Promise.resolve())
+
+    const res = createResponse()
+    await idempotency()(createRequest(), res, () => {})
+    res.status(409).json({ ok: false })
+
+    assert.deepEqual(remove.mock.calls[0].arguments[0], record)
+  })
+
+  test("replays the stored response of a completed request", async () => {
+    const { res, nextCalls } = await retry({ status: "completed", responseStatus: 201, responseBody: { id: 1 } })
+
+    assert.equal(nextCalls, 0)
+    assert.equal(res.statusCode, 201)
+    assert.deepEqual(res.body, { id: 1 })
+    assert.equal(res.headers["idempotent-replayed"], "true")
+  })
+
+  test("rejects a different request sent with the same key", async () => {
+    const { error } = await retry({ requestHash: "other" })
+
+    assert.equal(error.statusCode, 422)
+  })
+
+  test("rejects a retry while the first request is still within its lease", async () => {
+    const takeOver = mock.method(IdempotencyKey, "findOneAndUpdate", () => query(null))
+
+    const { error } = await retry({ status: "processing", startedAt: new Date() })
+
+    assert.equal(error.statusCode, 409)
+    assert.equal(takeOver.mock.callCount(), 0)
+  })
+
+  test("lets a retry take over a key abandoned past its lease", async () => {
+    const startedAt = new Date(Date.now() - LEASE - 1000)
+    const takeOver = mock.method(IdempotencyKey, "findOneAndUpdate", (filter, update) =>
+      query({ _id: filter._id, startedAt: update.startedAt }),
+    )
+
+    const { error, nextCalls } = await retry({ status: "processing", startedAt })
+
+    assert.equal(error, undefined)
+    assert.equal(nextCalls, 1)
+    const [filter] = takeOver.mock.calls[0].arguments
+    assert.equal(filter.status, "processing")
+    assert.equal(filter.startedAt, startedAt)
+  })
+
+  test("rejects a retry that loses the race to take over an abandoned key", async () => {
+    mock.method(IdempotencyKey, "findOneAndUpdate", () => query(null))
+
+    const { error, nextCalls } = await retry({ status: "processing", startedAt: new Date(Date.now() - LEASE * 2) })
+
+    assert.equal(nextCalls, 1)
+    assert.equal(error.statusCode, 409)
+  })
+})
@@ -0,0 +1,72 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { duplicateKeyError, query } from "./helpers.js"
+import Invoice from "../models/invoice.model.js"
+import Order from "../models/order.model.js"
+import { issueInvoice } from "../utils/invoice.js"
+
+let order
+let latest
+
+beforeEach(() => {
+  order = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: "261019-0001",
+    items: [],
+    appliedCoupons: [],
+    taxBreakdown: [],
+    grandTotal: 30,
+  }
+  latest = null
+
+  // Lookups by type read the highest number taken, lookups by order find the invoice already issued
+  mock.method(Invoice, "findOne", (filter) => query(filter.order ? null : latest))
+  mock.method(Order, "updateOne", () => query({ modifiedCount: 1 }))
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+describe("issueInvoice", () => {
+  test("takes the next number when a concurrent invoice took the previous one", async () => {
+    const create = mock.method(Invoice, "create", async (data) => {
+      if (create.mock.callCount() === 0) {
+        latest = { sequence: data.sequence }
+        throw duplicateKeyError()
+      }
+      return data
+    })
+
+    const invoice = await issueInvoice(order)
+
+    assert.equal(create.mock.callCount(), 2)
+    assert.equal(invoice.number, "INV-000002")
+  })
+
+  test("returns the invoice another request issued for the same order", async () => {
+    const issued = { _id: new mongoose.Types.ObjectId(), number: "INV-000001" }
+    const create = mock.method(Invoice, "create", async () => {
+      Invoice.findOne.mock.mockImplementation((filter) => query(filter.order ? issued : null))
+      throw duplicateKeyError()
+    })
+
+    const invoice = await issueInvoice(order)
+
+    assert.equal(invoice, issued)
+    assert.equal(create.mock.callCount(), 1)
+  })
+
+  test("gives up after repeated number clashes without linking an invoice to the order", async () => {
+    const create = mock.method(Invoice, "create", async () => {
+      throw duplicateKeyError()
+    })
+
+    await assert.rejects(issueInvoice(order), { message: "Could not allocate a invoice number" })
+
+    assert.equal(create.mock.callCount(), 5)
+    assert.ok(create.mock.calls.every((call) => call.arguments[0].number === "INV-000001"))
+    assert.equal(Order.updateOne.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { query } from "./helpers.js"
+import Order from "../models/order.model.js"
+import StockReservation from "../models/stock-reservation.model.js"
+import PromotionRedemption from "../models/promotion-redemption.model.js"
+import Refund from "../models/refund.model.js"
+import { cancelUnpaidOrders, transitionOrder } from "../utils/order-status.js"
+import { cancelOrRefundOrder } from "../utils/refunds.js"
+
+const id = () => new mongoose.Types.ObjectId()
+
+beforeEach(() => {
+  // Nothing left to restock or reverse, so the cancellation hooks finish without touching other models
+  mock.method(StockReservation, "findOneAndUpdate", () => query(null))
+  mock.method(StockReservation, "exists", () => query({ _id: id() }))
+  mock.method(PromotionRedemption, "find", () => query([]))
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+describe("transitionOrder", () => {
+  test("moves the order only from the status it was loaded with", async () => {
+    const order = { _id: id(), status: "pending", items: [] }
+    const update = mock.method(Order, "findOneAndUpdate", (filter, change) =>
+      query({ ...order, status: change.status }),
+    )
+
+    const updated = await transitionOrder(order, "cancelled", { notify: false, match: { paymentId: null } })
+
+    assert.equal(updated.status, "cancelled")
+    assert.deepEqual(update.mock.calls[0].arguments[0], { paymentId: null, _id: order._id, status: "pending" })
+    assert.equal(StockReservation.findOneAndUpdate.mock.callCount(), 1)
+  })
+
+  test("rejects the move and skips the hooks when another request changed the order first", async () => {
+    mock.method(Order, "findOneAndUpdate", () => query(null))
+
+    await assert.rejects(transitionOrder({ _id: id(), status: "pending" }, "cancelled", { notify: false }), {
+      statusCode: 409,
+    })
+
+    assert.equal(StockReservation.findOneAndUpdate.mock.callCount(), 0)
+  })
+
+  test("refuses to cancel a paid order", async () => {
+    const update = mock.method(Order, "findOneAndUpdate", () => query(null))
+
+    await assert.rejects(transitionOrder({ _id: id(), status: "processing" }, "cancelled"), { statusCode: 400 })
+
+    assert.equal(update.mock.callCount(), 0)
+  })
+})
+
+describe("cancelUnpaidOrders", () => {
+  test("cancels unpaid orders, leaves the ones being paid and expires holds without an order", async () => {
+    const unpaid = { _id: id(), status: "pending", paymentId: null, items: [] }
+    const paying = { _id: id(), status: "pending", paymentId: "pending:abc", items: [] }
+    const orphan = { _id: id(), order: id() }
+    const orders = new Map([unpaid, paying].map((order) => [order._id.toString(), order]))
+
+    mock.method(StockReservation, "find", () =>
+      query([{ _id: id(), order: unpaid._id }, { _id: id(), order: paying._id }, orphan]),
+    )
+    mock.method(Order, "findById", (orderId) => query(orders.get(orderId.toString()) || null))
+    const update = mock.method(Order, "findOneAndUpdate", (filter, change) =>
+      query({ ...orders.get(filter._id.toString()), status: change.status }),
+    )
+
+    const cancelled = await cancelUnpaidOrders()
+
+    assert.equal(cancelled, 1)
+    assert.equal(update.mock.callCount(), 1)
+    assert.equal(update.mock.calls[0].arguments[0]._id, unpaid._id)
+    assert.equal(update.mock.calls[0].arguments[0].paymentId, null)
+
+    const expired = StockReservation.findOneAndUpdate.mock.calls.find((call) => call.arguments[0]._id === orphan._id)
+    assert.equal(expired.arguments[0].status, "active")
+  })
+
+  test("skips an order paid between loading and cancelling it", async () => {
+    const order = { _id: id(), status: "pending", paymentId: null, items: [] }
+    mock.method(StockReservation, "find", () => query([{ _id: id(), order: order._id }]))
+    mock.method(Order, "findById", () => query(order))
+    mock.method(Order, "findOneAndUpdate", () => query(null))
+
+    const cancelled = await cancelUnpaidOrders()
+
+    assert.equal(cancelled, 0)
+    assert.equal(StockReservation.findOneAndUpdate.mock.callCount(), 0)
+  })
+})
+
+describe("cancelOrRefundOrder", () => {
+  test("cancels an unpaid order only while no payment is in progress", async () => {
+    const order = { _id: id(), status: "pending", items: [] }
+    const update = mock.method(Order, "findOneAndUpdate", (filter, change) =>
+      query({ ...order, status: change.status }),
+    )
+
+    const cancelled = await cancelOrRefundOrder(order)
+
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(update.mock.calls[0].arguments[0].paymentId, null)
+  })
+
+  test("refunds what is left on a paid order instead of cancelling it", async () => {
+    const order = { _id: id(), status: "processing", grandTotal: 50, refundedTotal: 20, currency: "USD", items: [] }
+    mock.method(Refund, "find", () => query([]))
+    const reserve = mock.method(Order, "findOneAndUpdate", () => query(null))
+
+    await assert.rejects(cancelOrRefundOrder(order), { statusCode: 400 })
+
+    assert.deepEqual(reserve.mock.calls[0].arguments[1], { $inc: { refundedTotal: 30 } })
+  })
+
+  test("refuses orders that have shipped", async () => {
+    const update = mock.method(Order, "findOneAndUpdate", () => query(null))
+
+    await assert.rejects(cancelOrRefundOrder({ _id: id(), status: "shipped" }), { statusCode: 400 })
+
+    assert.equal(update.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { query, runController } from "./helpers.js"
+import Invoice from "../models/invoice.model.js"
+import Order from "../models/order.model.js"
+import StockReservation from "../models/stock-reservation.model.js"
+import { payOrder } from "../controllers/payment.controller.js"
+import { reconcileStalePayments } from "../utils/order-status.js"
+import { PENDING_PAYMENT_PREFIX, getPaymentProvider } from "../utils/payment.js"
+
+let order
+
+beforeEach(() => {
+  order = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    status: "pending",
+    paymentId: null,
+    grandTotal: 30,
+    currency: "USD",
+    paymentMethod: "card",
+    items: [],
+  }
+
+  mock.method(StockReservation, "findOne", () => query(null))
+  mock.method(StockReservation, "findOneAndUpdate", () => query(null))
+  mock.method(Invoice, "findOne", () => query({ _id: new mongoose.Types.ObjectId() }))
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+describe("payOrder", () => {
+  const pay = () =>
+    runController(payOrder, {
+      params: { id: order._id.toString() },
+      user: { _id: order.user, id: order.user.toString(), role: "customer" },
+    })
+
+  beforeEach(() => {
+    mock.method(Order, "findById", () => query(order))
+  })
+
+  test("refuses to charge an order another request is already paying", async () => {
+    mock.method(Order, "findOneAndUpdate", () => query(null))
+    const charge = mock.method(getPaymentProvider(), "charge", async () => ({ status: "succeeded" }))
+
+    const { error } = await pay()
+
+    assert.equal(error.statusCode, 400)
+    assert.equal(charge.mock.callCount(), 0)
+  })
+
+  test("claims the order with a timestamped placeholder and releases it when the charge fails", async () => {
+    const claim = mock.method(Order, "findOneAndUpdate", (filter, update) => query({ ...order, ...update }))
+    mock.method(getPaymentProvider(), "charge", async () => ({ status: "failed", failureReason: "Card declined" }))
+    const release = mock.method(Order, "updateOne", () => query({ modifiedCount: 1 }))
+
+    const { error } = await pay()
+
+    assert.equal(error.statusCode, 402)
+    const [filter, update] = claim.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: order._id, status: "pending", paymentId: null })
+    assert.ok(update.paymentId.startsWith(PENDING_PAYMENT_PREFIX))
+    assert.ok(update.paymentClaimedAt instanceof Date)
+    assert.deepEqual(release.mock.calls[0].arguments, [
+      { _id: order._id, paymentId: update.paymentId },
+      { paymentId: null, $unset: { paymentClaimedAt: "" } },
+    ])
+  })
+
+  test("refunds the charge when the order changed while it was being charged", async () => {
+    mock.method(Order, "findOneAndUpdate", (filter, update) =>
+      query(filter.paymentId === null ? { ...order, ...update } : null),
+    )
+    mock.method(getPaymentProvider(), "charge", async () => ({ status: "succeeded", reference: "mock_ch_1" }))
+    Order.findById.mock.mockImplementation(() => query({ ...order, status: "cancelled" }))
+    const refund = mock.method(getPaymentProvider(), "refund", async () => ({ status: "succeeded" }))
+
+    const { error } = await pay()
+
+    assert.equal(error.statusCode, 409)
+    const [{ paymentReference, amount, reason }] = refund.mock.calls[0].arguments
+    assert.deepEqual(
+      { paymentReference, amount, reason },
+      { paymentReference: "mock_ch_1", amount: 30, reason: "duplicate" },
+    )
+  })
+})
+
+describe("reconcileStalePayments", () => {
+  test("moves a charged order on to processing and releases an order that was never charged", async () => {
+    const charged = { ...order, paymentId: `${PENDING_PAYMENT_PREFIX}a` }
+    const uncharged = { ...order, _id: new mongoose.Types.ObjectId(), paymentId: `${PENDING_PAYMENT_PREFIX}b` }
+    mock.method(Order, "find", () => query([charged, uncharged]))
+    mock.method(getPaymentProvider(), "findCharge", async ({ order: stale }) =>
+      stale === charged ? { reference: "mock_ch_1", status: "succeeded" } : null,
+    )
+    const update = mock.method(Order, "findOneAndUpdate", (filter, change) =>
+      query(change.status ? { ...charged, status: change.status } : { ...order, _id: filter._id, ...change }),
+    )
+
+    const settled = await reconcileStalePayments()
+
+    assert.equal(settled, 2)
+    const [settleCharged, transition, settleUncharged] = update.mock.calls.map((call) => call.arguments)
+    assert.deepEqual(settleCharged[0], { _id: charged._id, status: "pending", paymentId: charged.paymentId })
+    assert.equal(settleCharged[1].paymentId, "mock_ch_1")
+    assert.equal(settleUncharged[1].paymentId, null)
+    assert.equal(transition[1].status, "processing")
+  })
+
+  test("leaves a claim alone when its payment request finished in the meantime", async () => {
+    mock.method(Order, "find", () => query([{ ...order, paymentId: `${PENDING_PAYMENT_PREFIX}a` }]))
+    mock.method(getPaymentProvider(), "findCharge", async () => ({ reference: "mock_ch_1", status: "succeeded" }))
+    const update = mock.method(Order, "findOneAndUpdate", () => query(null))
+
+    const settled = await reconcileStalePayments()
+
+    assert.equal(settled, 0)
+    assert.equal(update.mock.callCount(), 1)
+  })
+})
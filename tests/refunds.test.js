@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { query } from "./helpers.js"
+import Order from "../models/order.model.js"
+import Refund from "../models/refund.model.js"
+import { getPaymentProvider } from "../utils/payment.js"
+import { refundOrder } from "../utils/refunds.js"
+
+let order
+
+beforeEach(() => {
+  order = {
+    _id: new mongoose.Types.ObjectId(),
+    status: "delivered",
+    grandTotal: 100,
+    refundedTotal: 0,
+    currency: "USD",
+    paymentId: "mock_ch_1",
+    items: [],
+  }
+
+  mock.method(Refund, "find", () => query([]))
+  mock.method(Order, "findOneAndUpdate", (filter, update) =>
+    query({ ...order, refundedTotal: order.refundedTotal + update.$inc.refundedTotal }),
+  )
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+// Refund record whose saves are counted
+const createRefundRecord = (data) => ({ ...data, _id: new mongoose.Types.ObjectId(), save: mock.fn(async () => {}) })
+
+describe("refundOrder", () => {
+  test("gives the reserved amount back when the refund cannot be recorded", async () => {
+    mock.method(Refund, "create", async () => {
+      throw new Error("write failed")
+    })
+    const charge = mock.method(getPaymentProvider(), "refund", async () => ({ status: "succeeded" }))
+    const release = mock.method(Order, "updateOne", () => query({ modifiedCount: 1 }))
+
+    await assert.rejects(refundOrder(order, { amount: 40, reason: "other" }), { message: "write failed" })
+
+    assert.equal(charge.mock.callCount(), 0)
+    assert.deepEqual(release.mock.calls[0].arguments, [{ _id: order._id }, { $inc: { refundedTotal: -40 } }])
+  })
+
+  test("gives the reserved amount back and marks the refund failed when the provider declines it", async () => {
+    let refund
+    mock.method(Refund, "create", async (data) => {
+      refund = createRefundRecord(data)
+      return refund
+    })
+    mock.method(getPaymentProvider(), "refund", async () => ({ status: "failed", failureReason: "Card closed" }))
+    const release = mock.method(Order, "updateOne", () => query({ modifiedCount: 1 }))
+
+    await assert.rejects(refundOrder(order, { amount: 40, reason: "other" }), { statusCode: 502 })
+
+    assert.equal(refund.status, "failed")
+    assert.equal(refund.failureReason, "Card closed")
+    assert.deepEqual(release.mock.calls[0].arguments[1], { $inc: { refundedTotal: -40 } })
+  })
+
+  test("gives the reserved amount back when the provider cannot be reached", async () => {
+    mock.method(Refund, "create", async (data) => createRefundRecord(data))
+    mock.method(getPaymentProvider(), "refund", async () => {
+      throw new Error("timeout")
+    })
+    const release = mock.method(Order, "updateOne", () => query({ modifiedCount: 1 }))
+
+    await assert.rejects(refundOrder(order, { amount: 40, reason: "other" }), {
+      statusCode: 502,
+      message: "The payment provider did not accept the refund: timeout",
+    })
+
+    assert.equal(release.mock.callCount(), 1)
+  })
+
+  test("refuses a refund that would exceed what is left on the order", async () => {
+    order.refundedTotal = 80
+    mock.method(Order, "findOneAndUpdate", () => query(null))
+    const create = mock.method(Refund, "create", async (data) => createRefundRecord(data))
+
+    await assert.rejects(refundOrder(order, { amount: 40, reason: "other" }), {
+      statusCode: 400,
+      message: "Only 20 USD is left to refund on this order",
+    })
+
+    assert.equal(create.mock.callCount(), 0)
+  })
+})
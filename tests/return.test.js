@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { duplicateKeyError, query, runController, stubItemCounters } from "./helpers.js"
+import Order from "../models/order.model.js"
+import ReturnRequest from "../models/return-request.model.js"
+import { createReturn } from "../controllers/return.controller.js"
+
+const id = () => new mongoose.Types.ObjectId()
+
+let order
+let returned
+
+beforeEach(() => {
+  order = new Order({
+    user: id(),
+    orderNumber: "261019-0001",
+    status: "delivered",
+    items: [{ product: id(), name: "Mug", sku: "MUG", price: 10, quantity: 2, subtotal: 20, taxAmount: 0 }],
+    statusHistory: [{ status: "delivered", timestamp: new Date() }],
+  })
+  returned = { [order.items[0]._id.toString()]: 0 }
+
+  stubItemCounters(returned)
+  mock.method(Order, "findById", () => query(order))
+  mock.method(ReturnRequest, "find", () => query([]))
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+const requestReturn = (quantity = 2) =>
+  runController(createReturn, {
+    params: { id: order._id.toString() },
+    body: { items: [{ orderItem: order.items[0]._id, quantity, reason: "damaged" }] },
+    user: { id: order.user.toString(), role: "customer" },
+  })
+
+describe("createReturn", () => {
+  test("takes the next RMA number when a concurrent return took the previous one", async () => {
+    let existing = 0
+    mock.method(ReturnRequest, "countDocuments", () => query(existing))
+    const create = mock.method(ReturnRequest, "create", async (data) => {
+      if (create.mock.callCount() === 0) {
+        existing += 1
+        throw duplicateKeyError()
+      }
+      return data
+    })
+
+    const { res, error } = await requestReturn()
+
+    assert.equal(error, undefined)
+    assert.equal(res.statusCode, 201)
+    assert.equal(res.body.data.rmaNumber, "RMA-261019-0001-2")
+    assert.equal(returned[order.items[0]._id.toString()], 2)
+  })
+
+  test("gives the units back when no RMA number could be taken", async () => {
+    mock.method(ReturnRequest, "countDocuments", () => query(0))
+    const create = mock.method(ReturnRequest, "create", async () => {
+      throw duplicateKeyError()
+    })
+
+    const { error } = await requestReturn()
+
+    assert.equal(error.statusCode, 409)
+    assert.equal(create.mock.callCount(), 5)
+    assert.equal(returned[order.items[0]._id.toString()], 0)
+  })
+
+  test("refuses the return when another return counted the units first", async () => {
+    returned[order.items[0]._id.toString()] = 1
+    const create = mock.method(ReturnRequest, "create", async (data) => data)
+
+    const { error } = await requestReturn()
+
+    assert.equal(error.statusCode, 409)
+    assert.equal(create.mock.callCount(), 0)
+    assert.equal(returned[order.items[0]._id.toString()], 1)
+  })
+})
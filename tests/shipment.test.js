@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { query, runController, stubItemCounters } from "./helpers.js"
+import Order from "../models/order.model.js"
+import Shipment from "../models/shipment.model.js"
+import { createShipment } from "../controllers/shipment.controller.js"
+
+const id = () => new mongoose.Types.ObjectId()
+
+let order
+let shipped
+
+beforeEach(() => {
+  order = new Order({
+    status: "processing",
+    items: [
+      { product: id(), name: "Mug", sku: "MUG", price: 10, quantity: 2, subtotal: 20 },
+      { product: id(), name: "Cap", sku: "CAP", price: 15, quantity: 1, subtotal: 15 },
+    ],
+  })
+  shipped = Object.fromEntries(order.items.map((item) => [item._id.toString(), 0]))
+  stubItemCounters(shipped)
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+const lines = () => order.items.map((item) => ({ orderItem: item._id, quantity: item.quantity }))
+
+describe("Order.reserveItemQuantities", () => {
+  test("counts every line when there is room left on all of them", async () => {
+    const counted = await Order.reserveItemQuantities(order, "shippedQuantity", lines())
+
+    assert.equal(counted, true)
+    assert.deepEqual(Object.values(shipped), [2, 1])
+  })
+
+  test("gives back the lines already counted when a later line has no room left", async () => {
+    shipped[order.items[1]._id.toString()] = 1
+
+    const counted = await Order.reserveItemQuantities(order, "shippedQuantity", lines())
+
+    assert.equal(counted, false)
+    assert.deepEqual(Object.values(shipped), [0, 1])
+  })
+
+  test("lets only one of two concurrent requests count the same units", async () => {
+    const results = await Promise.all([
+      Order.reserveItemQuantities(order, "shippedQuantity", lines()),
+      Order.reserveItemQuantities(order, "shippedQuantity", lines()),
+    ])
+
+    assert.deepEqual(results.sort(), [false, true])
+    assert.deepEqual(Object.values(shipped), [2, 1])
+  })
+})
+
+describe("createShipment", () => {
+  const create = () =>
+    runController(createShipment, {
+      params: { id: order._id.toString() },
+      body: { items: lines(), carrier: "UPS", trackingNumber: "1Z" },
+      user: { _id: id(), id: "admin", role: "admin" },
+    })
+
+  beforeEach(() => {
+    mock.method(Order, "findById", () => query(order))
+    mock.method(Shipment, "find", () => query([]))
+  })
+
+  test("refuses the shipment when another shipment took the units first", async () => {
+    shipped[order.items[0]._id.toString()] = 1
+    const record = mock.method(Shipment, "create", async (data) => data)
+
+    const { error } = await create()
+
+    assert.equal(error.statusCode, 409)
+    assert.equal(record.mock.callCount(), 0)
+    assert.deepEqual(Object.values(shipped), [1, 0])
+  })
+
+  test("gives the units back when the shipment cannot be recorded", async () => {
+    mock.method(Shipment, "create", async () => {
+      throw new Error("write failed")
+    })
+
+    const { error } = await create()
+
+    assert.equal(error.message, "write failed")
+    assert.deepEqual(Object.values(shipped), [0, 0])
+  })
+})
@@ -0,0 +1,134 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { query } from "./helpers.js"
+import Product from "../models/product.model.js"
+import StockReservation from "../models/stock-reservation.model.js"
+import InventoryMovement from "../models/inventory-movement.model.js"
+import { expireReservation, releaseReservation, reserveStock } from "../utils/stock-reservation.js"
+
+const id = () => new mongoose.Types.ObjectId()
+
+// Keep product stock in memory, applying the conditional $inc updates the inventory helpers send
+let stock
+const stubProducts = () => {
+  mock.method(Product, "findOneAndUpdate", (filter, update) => {
+    const key = filter._id.toString()
+    const minimum = filter.stock ? filter.stock.$gte : 0
+    if (!(key in stock) || stock[key] < minimum) return query(null)
+
+    stock[key] += update.$inc.stock
+    return query({ _id: filter._id, sku: key, stock: stock[key], variants: [], lowStockThreshold: -1 })
+  })
+}
+
+beforeEach(() => {
+  stock = {}
+  stubProducts()
+  mock.method(InventoryMovement, "create", async (data) => data)
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+describe("reserveStock", () => {
+  test("takes the stock of every line and records the hold", async () => {
+    const first = id()
+    const second = id()
+    stock[first] = 5
+    stock[second] = 2
+    const create = mock.method(StockReservation, "create", async (data) => data)
+
+    const reservation = await reserveStock(id(), [
+      { product: first, quantity: 3 },
+      { product: second, quantity: 2 },
+    ])
+
+    assert.equal(stock[first], 2)
+    assert.equal(stock[second], 0)
+    assert.equal(create.mock.callCount(), 1)
+    assert.equal(reservation.items.length, 2)
+  })
+
+  test("puts back the lines already taken when a later line is out of stock", async () => {
+    const first = id()
+    const second = id()
+    stock[first] = 5
+    stock[second] = 1
+    const create = mock.method(StockReservation, "create", async (data) => data)
+
+    await assert.rejects(
+      reserveStock(id(), [
+        { product: first, quantity: 3 },
+        { product: second, quantity: 2, name: "Mug" },
+      ]),
+      { statusCode: 409, message: "Not enough stock for Mug" },
+    )
+
+    assert.equal(stock[first], 5)
+    assert.equal(stock[second], 1)
+    assert.equal(create.mock.callCount(), 0)
+  })
+
+  test("puts the stock back when the hold cannot be recorded", async () => {
+    const product = id()
+    stock[product] = 4
+    mock.method(StockReservation, "create", async () => {
+      throw new Error("write failed")
+    })
+
+    await assert.rejects(reserveStock(id(), [{ product, quantity: 4 }]), { message: "write failed" })
+
+    assert.equal(stock[product], 4)
+  })
+})
+
+describe("releaseReservation", () => {
+  test("restores the held items once when the hold is claimed", async () => {
+    const product = id()
+    stock[product] = 0
+    const items = [{ product, quantity: 2 }]
+    mock.method(StockReservation, "findOneAndUpdate", () => query({ items }))
+
+    const reservation = await releaseReservation({ _id: id(), items })
+
+    assert.deepEqual(reservation.items, items)
+    assert.equal(stock[product], 2)
+  })
+
+  test("restores nothing when another release already claimed the hold", async () => {
+    const product = id()
+    stock[product] = 0
+    mock.method(StockReservation, "findOneAndUpdate", () => query(null))
+    mock.method(StockReservation, "exists", () => query({ _id: id() }))
+
+    const reservation = await releaseReservation({ _id: id(), items: [{ product, quantity: 2 }] })
+
+    assert.equal(reservation, null)
+    assert.equal(stock[product], 0)
+  })
+
+  test("restores the order items of orders placed before holds existed", async () => {
+    const product = id()
+    stock[product] = 0
+    mock.method(StockReservation, "findOneAndUpdate", () => query(null))
+    mock.method(StockReservation, "exists", () => query(null))
+
+    await releaseReservation({ _id: id(), items: [{ product, quantity: 2 }] })
+
+    assert.equal(stock[product], 2)
+  })
+})
+
+describe("expireReservation", () => {
+  test("leaves the stock alone when the hold was committed or released first", async () => {
+    const claim = mock.method(StockReservation, "findOneAndUpdate", () => query(null))
+
+    const reservation = await expireReservation(id())
+
+    assert.equal(reservation, null)
+    assert.equal(claim.mock.calls[0].arguments[0].status, "active")
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,88 @@
+import Cart from "../models/cart.model.js"
+import Product from "../models/product.model.js"
+
+// Merge a guest cart into the user's cart, capping quantities to the stock available
+// Returns null when there is no guest cart, otherwise the merged cart and the lines that were capped or dropped
+export const mergeGuestCart = async (userId, sessionId) => {
+  if (!sessionId) return null
+
+  const guestCart = await Cart.findOne({ sessionId })
+  if (!guestCart) return null
+
+  // A new user cart keeps the currency the guest was shopping in
+  const cart =
+    (await Cart.findOne({ user: userId })) ||
+    new Cart({ user: userId, items: [], currency: guestCart.currency, exchangeRate: guestCart.exchangeRate })
+
+  // Carts held by an active checkout are left alone, the guest cart can still be merged later
+  if (guestCart.isLocked() || cart.isLocked()) return null
+
+  const adjustments = []
+
+  for (const guestItem of guestCart.items) {
+    const product = await Product.findById(guestItem.product)
+    const purchasable =
+      product && product.status === "active" ? product.resolveVariant(guestItem.variant, cart.getPricing()) : null
+
+    const line = {
+      product: guestItem.product,
+      variant: guestItem.variant || null,
+      name: product ? product.name : undefined,
+      requested: guestItem.quantity,
+    }
+
+    if (!purchasable) {
+      adjustments.push({ ...line, quantity: 0, status: "dropped", reason: "Product is no longer available" })
+      continue
+    }
+
+    // Saved for later lines are kept apart from cart lines of the same product
+    const existingItem = cart.items.find(
+      (item) =>
+        item.product.toString() === guestItem.product.toString() &&
+        (item.variant?.toString() || null) === (guestItem.variant?.toString() || null) &&
+        Boolean(item.savedForLater) === Boolean(guestItem.savedForLater),
+    )
+    const existingQuantity = existingItem ? existingItem.quantity : 0
+
+    // Combine quantities up to the available stock without shrinking the user's own line
+    const combined = existingQuantity + guestItem.quantity
+    const quantity = Math.max(existingQuantity, Math.min(combined, purchasable.stock))
+    const added = quantity - existingQuantity
+
+    if (added <= 0) {
+      adjustments.push({ ...line, quantity: 0, status: "dropped", reason: "Not enough stock available" })
+      continue
+    }
+
+    if (added < guestItem.quantity) {
+      adjustments.push({ ...line, quantity: added, status: "capped", reason: "Not enough stock available" })
+    }
+
+    if (existingItem) {
+      existingItem.quantity = quantity
+      existingItem.price = purchasable.price
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        quantity,
+        price: purchasable.price,
+        savedForLater: guestItem.savedForLater,
+      })
+    }
+  }
+
+  // Carry over coupons the guest applied; ineligible ones are re-evaluated on recalculation
+  for (const coupon of guestCart.appliedCoupons) {
+    if (!cart.appliedCoupons.some((applied) => applied.toString() === coupon.toString())) {
+      cart.appliedCoupons.push(coupon)
+    }
+  }
+
+  await cart.recalculateTotals()
+  await cart.save()
+  await guestCart.deleteOne()
+
+  return { cart, adjustments }
+}
@@ -0,0 +1,201 @@
+import crypto from "crypto"
+import Cart from "../models/cart.model.js"
+import User from "../models/user.model.js"
+import Promotion from "../models/promotion.model.js"
+import CartRecovery from "../models/cart-recovery.model.js"
+import { sendEmail } from "./email.js"
+
+const HOUR = 60 * 60 * 1000
+
+// When carts count as abandoned and how the follow-up discount is set up
+// A follow-up delay of 0 turns the follow-up email off
+export const getRecoverySettings = () => ({
+  idleAfter: (Number(process.env.CART_RECOVERY_IDLE_HOURS) || 24) * HOUR,
+  maxIdle: (Number(process.env.CART_RECOVERY_MAX_IDLE_DAYS) || 7) * 24 * HOUR,
+  followUpAfter: (Number(process.env.CART_RECOVERY_FOLLOW_UP_HOURS) || 0) * HOUR,
+  discountPercent: Number(process.env.CART_RECOVERY_DISCOUNT_PERCENT) || 10,
+  codeValidFor: (Number(process.env.CART_RECOVERY_CODE_VALID_DAYS) || 7) * 24 * HOUR,
+})
+
+// Check whether an email address has opted out of marketing, either on its account or from a reminder
+const isOptedOut = async (email) => {
+  const [user, unsubscribed] = await Promise.all([
+    User.exists({ email, marketingOptOut: true }),
+    CartRecovery.exists({ email, optedOut: true }),
+  ])
+
+  return Boolean(user || unsubscribed)
+}
+
+// Plain text reminder listing the cart contents with restore and unsubscribe links
+const buildReminderText = (recovery, cart, { name, promotionCode, discountPercent, codeExpiresAt } = {}) => {
+  const baseUrl = process.env.FRONTEND_URL
+  const lines = cart
+    .getActiveItems()
+    .map((item) => `- ${item.product?.name || "Item"} x ${item.quantity}`)
+    .join("\n")
+
+  const offer = promotionCode
+    ? `\nUse code ${promotionCode} for ${discountPercent}% off, valid once until ${codeExpiresAt.toDateString()}.\n`
+    : ""
+
+  return `Hi ${name || "there"},
+
+You left these items in your cart:
+${lines}
+${offer}
+Pick up where you left off: ${baseUrl}/cart/restore?token=${recovery.token}
+
+To stop receiving these emails: ${baseUrl}/cart/unsubscribe?token=${recovery.token}`
+}
+
+// Single-use percentage code for the follow-up email
+// Only the total is limited, a per user limit would keep guests from using the code
+const createRecoveryPromotion = async (recovery, { discountPercent, codeValidFor }) => {
+  const startDate = new Date()
+
+  return Promotion.create({
+    name: `Cart recovery for ${recovery.email}`,
+    description: "Generated for an abandoned cart follow-up",
+    code: `COMEBACK-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    type: "percentage",
+    value: discountPercent,
+    startDate,
+    endDate: new Date(startDate.getTime() + codeValidFor),
+    usageLimit: { perUser: null, total: 1 },
+  })
+}
+
+// Start tracking idle carts and send them the first reminder
+const sendFirstReminders = async ({ idleAfter, maxIdle }) => {
+  const now = Date.now()
+  const carts = await Cart.find({
+    updatedAt: { $lte: new Date(now - idleAfter), $gte: new Date(now - maxIdle) },
+    items: { $elemMatch: { savedForLater: { $ne: true }, availability: { $nin: ["out_of_stock", "inactive"] } } },
+    $or: [{ user: { $ne: null } }, { email: { $nin: [null, ""] } }],
+  })
+    .populate("user", "email firstName status")
+    .populate("items.product", "name")
+
+  let sent = 0
+
+  for (const cart of carts) {
+    const email = cart.user ? cart.user.email : cart.email
+    if (!email || (cart.user && cart.user.status !== "active")) continue
+    if (await CartRecovery.exists({ cart: cart._id, cartUpdatedAt: cart.updatedAt })) continue
+    if (await isOptedOut(email)) continue
+
+    // The unique index on cart and idle period makes sure only one sweep emails this cart
+    let recovery
+    try {
+      recovery = await CartRecovery.create({
+        cart: cart._id,
+        user: cart.user ? cart.user._id : undefined,
+        email,
+        token: crypto.randomBytes(32).toString("hex"),
+        cartUpdatedAt: cart.updatedAt,
+        cartTotal: cart.grandTotal,
+        itemCount: cart.getActiveItems().reduce((total, item) => total + item.quantity, 0),
+      })
+    } catch (error) {
+      if (error.code === 11000) continue
+      throw error
+    }
+
+    try {
+      await sendEmail({
+        to: email,
+        subject: "You left something in your cart",
+        text: buildReminderText(recovery, cart, { name: cart.user?.firstName }),
+      })
+    } catch (error) {
+      // Forget the cart so the next sweep tries again
+      await recovery.deleteOne()
+      continue
+    }
+
+    await CartRecovery.updateOne({ _id: recovery._id }, { $push: { reminders: { stage: "reminder" } } })
+    sent += 1
+  }
+
+  return sent
+}
+
+// Send the follow-up with a discount code to carts still untouched since their first reminder
+const sendFollowUps = async (settings) => {
+  const recoveries = await CartRecovery.find({
+    status: "abandoned",
+    optedOut: false,
+    "reminders.stage": { $ne: "follow_up" },
+    reminders: {
+      $elemMatch: { stage: "reminder", sentAt: { $lte: new Date(Date.now() - settings.followUpAfter) } },
+    },
+  })
+
+  let sent = 0
+
+  for (const recovery of recoveries) {
+    const cart = await Cart.findById(recovery.cart).populate("user", "firstName").populate("items.product", "name")
+
+    // Shoppers who came back to their cart or emptied it are no longer abandoning it
+    if (!cart || cart.updatedAt > recovery.cartUpdatedAt || cart.getActiveItems().length === 0) continue
+    if (await isOptedOut(recovery.email)) continue
+
+    // Claim the follow-up before sending so it can only go out once
+    const claimed = await CartRecovery.findOneAndUpdate(
+      { _id: recovery._id, "reminders.stage": { $ne: "follow_up" } },
+      { $push: { reminders: { stage: "follow_up" } } },
+      { new: true },
+    )
+    if (!claimed) continue
+
+    const promotion = await createRecoveryPromotion(recovery, settings)
+
+    try {
+      await sendEmail({
+        to: recovery.email,
+        subject: "Your cart is waiting, here is a discount",
+        text: buildReminderText(recovery, cart, {
+          name: cart.user?.firstName,
+          promotionCode: promotion.code,
+          discountPercent: settings.discountPercent,
+          codeExpiresAt: promotion.endDate,
+        }),
+      })
+    } catch (error) {
+      await promotion.deleteOne()
+      await CartRecovery.updateOne({ _id: recovery._id }, { $pull: { reminders: { stage: "follow_up" } } })
+      continue
+    }
+
+    await CartRecovery.updateOne({ _id: recovery._id }, { promotion: promotion._id, promotionCode: promotion.code })
+    sent += 1
+  }
+
+  return sent
+}
+
+// Email abandoned carts, returning how many reminders and follow-ups went out
+export const processAbandonedCarts = async () => {
+  const settings = getRecoverySettings()
+
+  const reminders = await sendFirstReminders(settings)
+  const followUps = settings.followUpAfter > 0 ? await sendFollowUps(settings) : 0
+
+  return { reminders, followUps }
+}
+
+// Mark the open abandonment of a cart as recovered by an order
+export const markCartRecovered = async (cartId, order) => {
+  try {
+    return await CartRecovery.findOneAndUpdate(
+      { cart: cartId, status: "abandoned" },
+      { status: "recovered", recoveredAt: new Date(), order: order._id, recoveredTotal: order.grandTotal },
+      { sort: { createdAt: -1 }, new: true },
+    )
+  } catch (error) {
+    // Reporting must not fail the order itself
+    console.error("Error marking cart as recovered:", error)
+    return null
+  }
+}
@@ -0,0 +1,205 @@
+import Order from "../models/order.model.js"
+import { ApiError } from "./api-error.js"
+import { quoteShippingMethod } from "./shipping.js"
+import { redeemPromotions, reverseRedemptions } from "./promotion-redemption.js"
+import { reserveStock, releaseReservation } from "./stock-reservation.js"
+import { markCartRecovered } from "./cart-recovery.js"
+import { roundAmount } from "./currency.js"
+import { allocateDiscount } from "./tax.js"
+
+// How long a checkout holds the cart without any activity
+export const getCheckoutTtl = () => (Number(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 30) * 60 * 1000
+
+// Recalculate the checkout totals from its cart, shipping method and shipping address
+export const refreshCheckoutTotals = async (checkout, cart) => {
+  await cart.populate("items.product")
+
+  cart.shippingTotal = 0
+  if (checkout.shippingMethod?.code && checkout.shippingAddress?.country) {
+    try {
+      const quote = await quoteShippingMethod(cart, checkout.shippingAddress, checkout.shippingMethod.code)
+      checkout.shippingMethod = {
+        code: quote.method,
+        name: quote.name,
+        price: quote.price,
+        estimatedDeliveryDays: quote.estimatedDeliveryDays,
+      }
+      cart.shippingTotal = quote.price
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error
+
+      // The method can no longer deliver this cart to the address, so it has to be chosen again
+      checkout.shippingMethod = undefined
+    }
+  }
+
+  await cart.recalculateTotals({ address: checkout.shippingAddress })
+
+  checkout.currency = cart.currency
+  checkout.subtotal = cart.subtotal
+  checkout.discountTotal = cart.discountTotal
+  checkout.taxTotal = cart.taxTotal
+  checkout.shippingTax = cart.shippingTax
+  checkout.taxBreakdown = cart.taxBreakdown
+  checkout.pricesIncludeTax = cart.pricesIncludeTax
+  checkout.shippingTotal = cart.shippingTotal
+  checkout.grandTotal = cart.grandTotal
+
+  return checkout
+}
+
+// Make sure every cart line can still be bought as shown, throwing a 409 listing what changed otherwise
+// Carts locked by a checkout can only be ordered through that checkout
+export const assertCartReady = async (cart, { acknowledgePriceChanges = false, checkout = null } = {}) => {
+  if (cart.isLocked() && cart.checkout?.toString() !== checkout?.toString()) {
+    throw new ApiError(409, "This cart is locked by an active checkout, complete or cancel it first")
+  }
+
+  // Re-check every line against the current product and variant before charging for it
+  const changes = await cart.revalidateItems()
+  if (acknowledgePriceChanges) {
+    cart.priceChanges = []
+  }
+
+  // Lines flagged now or on an earlier visit both block checkout until the shopper deals with them
+  const unavailable = cart.items
+    .filter((item) => !item.savedForLater && item.availability !== "available")
+    .map((item) => ({ item: item._id, product: item.product, variant: item.variant, type: item.availability }))
+  const removed = changes.filter((change) => change.type === "removed")
+
+  if (removed.length > 0 || unavailable.length > 0 || cart.priceChanges.length > 0) {
+    await cart.recalculateTotals()
+    await cart.save()
+
+    throw new ApiError(
+      409,
+      removed.length > 0 || unavailable.length > 0
+        ? "Some items in your cart are no longer available"
+        : "Prices in your cart have changed and must be acknowledged before checkout",
+      { changes, unavailable, priceChanges: cart.priceChanges },
+    )
+  }
+
+  if (cart.getActiveItems().length === 0) {
+    throw new ApiError(400, "Cart is empty")
+  }
+
+  return changes
+}
+
+// Turn a ready cart into a pending order, holding its stock and redeeming its coupons, then clear the cart
+export const placeOrder = async (
+  cart,
+  { user = null, email, shippingAddress, billingAddress, paymentMethod, shippingMethod, notes },
+) => {
+  await cart.populate("items.product")
+
+  // Price the chosen shipping method, which must be able to deliver to the address
+  const shippingQuote = await quoteShippingMethod(cart, shippingAddress, shippingMethod)
+  cart.shippingTotal = shippingQuote.price
+
+  // Re-evaluate coupons and tax against the final cart contents and shipping address
+  await cart.recalculateTotals({ address: shippingAddress })
+  const discounts = cart.discounts.filter((discount) => discount.eligible)
+
+  // Create order items
+  const orderItems = cart.getActiveItems().map((item) => {
+    const { variant, sku } = item.product.resolveVariant(item.variant)
+
+    return {
+      product: item.product._id,
+      variant: item.variant,
+      variantAttributes: variant ? { size: variant.size, color: variant.color } : undefined,
+      name: item.product.name,
+      sku,
+      price: item.price,
+      quantity: item.quantity,
+      subtotal: roundAmount(item.price * item.quantity, cart.currency),
+      taxClass: item.taxClass,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+    }
+  })
+
+  // Spread the coupon discounts over the lines the same way tax does, so returns refund what was paid
+  const itemDiscount = Math.min(
+    discounts
+      .filter((discount) => discount.type !== "free_shipping")
+      .reduce((total, discount) => total + discount.amount, 0),
+    cart.subtotal,
+  )
+  const discountedLines = allocateDiscount(
+    orderItems.map((item) => ({ amount: item.subtotal })),
+    itemDiscount,
+    cart.currency,
+  )
+  orderItems.forEach((item, index) => {
+    item.discountAmount = roundAmount(item.subtotal - discountedLines[index].amount, cart.currency)
+  })
+
+  // Create new order
+  const order = new Order({
+    user: user ? user.id : null,
+    sessionId: user ? undefined : cart.sessionId,
+    email,
+    items: orderItems,
+    billingAddress,
+    shippingAddress,
+    paymentMethod,
+    shippingMethod: shippingQuote.method,
+    subtotal: cart.subtotal,
+    discountTotal: cart.discountTotal,
+    taxTotal: cart.taxTotal,
+    shippingTax: cart.shippingTax,
+    taxBreakdown: cart.taxBreakdown,
+    pricesIncludeTax: cart.pricesIncludeTax,
+    shippingTotal: cart.shippingTotal,
+    grandTotal: cart.grandTotal,
+    currency: cart.currency,
+    exchangeRate: cart.exchangeRate,
+    notes,
+    appliedCoupons: discounts.map((discount) => ({
+      promotion: discount.promotion,
+      code: discount.code,
+      discount: discount.amount,
+    })),
+    statusHistory: [
+      {
+        status: "pending",
+        note: "Order created",
+      },
+    ],
+  })
+
+  // Hold the stock for every line until payment completes
+  await reserveStock(order._id, orderItems, user ? user._id : null)
+
+  try {
+    await redeemPromotions(order, discounts)
+    await order.save()
+  } catch (error) {
+    await reverseRedemptions(order._id)
+    await releaseReservation(order, { note: "Order could not be placed" })
+    throw error
+  }
+
+  // Clear cart, keeping the items saved for later
+  cart.items = cart.items.filter((item) => item.savedForLater)
+  cart.appliedCoupons = []
+  cart.discounts = []
+  cart.subtotal = 0
+  cart.discountTotal = 0
+  cart.taxTotal = 0
+  cart.shippingTax = 0
+  cart.taxBreakdown = []
+  cart.shippingTotal = 0
+  cart.grandTotal = 0
+  cart.checkout = undefined
+  cart.lockedUntil = undefined
+  await cart.save()
+
+  // Count the order towards abandoned cart recovery if the cart had been reminded
+  await markCartRecovered(cart._id, order)
+
+  return order
+}
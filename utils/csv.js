@@ -0,0 +1,58 @@
+// Parse CSV text into an array of objects keyed by the header row
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  // Strip a UTF-8 byte order mark exported by spreadsheet tools
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...records] = rows.filter((record) => record.some((value) => value.trim() !== ""))
+  const columns = header.map((column) => column.trim())
+
+  return records.map((record) => Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ""])))
+}
+
+// Serialize a list of values into a single CSV line
+export const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return ""
+      const text = String(value)
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    })
+    .join(",") + "\r\n"
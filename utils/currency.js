@@ -0,0 +1,49 @@
+import ExchangeRate from "../models/exchange-rate.model.js"
+import { ApiError } from "./api-error.js"
+
+// Currency that product prices, shipping rates and promotion amounts are entered in
+export const getBaseCurrency = () => (process.env.STORE_BASE_CURRENCY || "USD").toUpperCase()
+
+// Number of decimals in the minor unit of a currency, such as 2 for EUR and 0 for JPY
+export const getCurrencyDecimals = (currency) => {
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits
+  } catch (error) {
+    return 2
+  }
+}
+
+// Round an amount to the minor unit of its currency
+export const roundAmount = (amount, currency = getBaseCurrency()) => {
+  const factor = 10 ** getCurrencyDecimals(currency)
+  return Math.round((amount + Number.EPSILON) * factor) / factor
+}
+
+// Look up a currency and the rate that converts base currency amounts into it
+export const resolveCurrency = async (currency) => {
+  const code = String(currency || getBaseCurrency()).toUpperCase()
+  if (code === getBaseCurrency()) {
+    return { currency: code, rate: 1 }
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({ currency: code, isActive: true })
+  if (!exchangeRate) {
+    throw new ApiError(400, `Currency ${code} is not supported`)
+  }
+
+  return { currency: code, rate: exchangeRate.rate }
+}
+
+// Convert a base currency amount using a { currency, rate } pricing
+export const convertAmount = (amount, { currency, rate }) => roundAmount(amount * rate, currency)
+
+// Price of a product or variant in the pricing's currency
+// An explicit price for the currency wins over converting the base price
+export const getLocalPrice = (source, field, pricing) => {
+  const override = (source.prices || []).find((entry) => entry.currency === pricing.currency)
+  if (override && override[field] !== undefined && override[field] !== null) {
+    return override[field]
+  }
+
+  return source[field] === undefined || source[field] === null ? source[field] : convertAmount(source[field], pricing)
+}
@@ -0,0 +1,126 @@
+import Order from "../models/order.model.js"
+import Shipment from "../models/shipment.model.js"
+import { ApiError } from "./api-error.js"
+import { transitionOrder } from "./order-status.js"
+
+// Order statuses that follow from shipments, in the order they are reached
+const FULFILLMENT_FLOW = ["processing", "partially_shipped", "shipped", "delivered"]
+
+// Shipments can only be added while there is still something left to ship
+export const SHIPPABLE_STATUSES = ["processing", "partially_shipped"]
+
+// Add up the quantity of each order line covered by the given shipments
+export const countShippedQuantities = (shipments) => {
+  const quantities = new Map()
+
+  for (const shipment of shipments) {
+    for (const item of shipment.items) {
+      const key = item.orderItem.toString()
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity)
+    }
+  }
+
+  return quantities
+}
+
+// Build shipment lines from the requested quantities, checking none of them ship more than is left
+// Without requested items everything not yet in a shipment is shipped
+export const buildShipmentItems = async (order, requested) => {
+  const existing = await Shipment.find({ order: order._id })
+  const assigned = countShippedQuantities(existing)
+
+  const remaining = (orderItem) => orderItem.quantity - (assigned.get(orderItem._id.toString()) || 0)
+
+  const lines = requested?.length
+    ? requested
+    : order.items.map((orderItem) => ({ orderItem: orderItem._id, quantity: remaining(orderItem) }))
+
+  const items = []
+  const errors = []
+
+  for (const line of lines) {
+    const orderItem = order.items.id(line.orderItem)
+
+    if (!orderItem) {
+      errors.push({ field: "items", message: `Order item ${line.orderItem} is not part of this order` })
+      continue
+    }
+
+    if (line.quantity > remaining(orderItem)) {
+      errors.push({
+        field: "items",
+        message: `Only ${remaining(orderItem)} of ${orderItem.name} are left to ship`,
+      })
+      continue
+    }
+
+    if (line.quantity > 0) {
+      items.push({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        variant: orderItem.variant,
+        name: orderItem.name,
+        sku: orderItem.sku,
+        quantity: line.quantity,
+      })
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, "Shipment quantities exceed what is left to ship", errors)
+  }
+
+  if (items.length === 0) {
+    throw new ApiError(400, "Everything in this order is already in a shipment")
+  }
+
+  return items
+}
+
+// Status the order should have given how much of it has shipped and been delivered
+const deriveStatus = (order, shipments) => {
+  const shipped = countShippedQuantities(shipments)
+  const delivered = countShippedQuantities(shipments.filter((shipment) => shipment.status === "delivered"))
+
+  const covers = (quantities) =>
+    order.items.every((orderItem) => (quantities.get(orderItem._id.toString()) || 0) >= orderItem.quantity)
+
+  if (covers(delivered)) return "delivered"
+  if (covers(shipped)) return "shipped"
+  if (shipped.size > 0) return "partially_shipped"
+  return null
+}
+
+// Move the order forward to the status its shipments add up to, returning the updated order
+export const syncOrderFulfillment = async (order, { actor, shipment } = {}) => {
+  const current = FULFILLMENT_FLOW.indexOf(order.status)
+  if (current === -1) return order
+
+  const shipments = await Shipment.find({ order: order._id, status: { $in: ["shipped", "delivered"] } })
+  const target = FULFILLMENT_FLOW.indexOf(deriveStatus(order, shipments))
+  const trackingNumber = shipment?.trackingNumber
+
+  if (target <= current) {
+    // Still partially shipped, keep the latest tracking number on the order
+    if (trackingNumber && order.shippingTrackingNumber !== trackingNumber) {
+      return Order.findByIdAndUpdate(order._id, { shippingTrackingNumber: trackingNumber }, { new: true })
+    }
+    return order
+  }
+
+  // A fully shipped order goes straight to shipped, it is only partially shipped on the way
+  const steps = FULFILLMENT_FLOW.slice(current + 1, target + 1).filter(
+    (status) => status !== "partially_shipped" || target === FULFILLMENT_FLOW.indexOf("partially_shipped"),
+  )
+
+  let updated = order
+  for (const status of steps) {
+    updated = await transitionOrder(updated, status, {
+      actor,
+      trackingNumber,
+      note: shipment?.carrier ? `Shipment ${status.replace("_", " ")} via ${shipment.carrier}` : undefined,
+    })
+  }
+
+  return updated
+}
@@ -0,0 +1,31 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+
+export const GUEST_CART_HEADER = "x-guest-cart-token"
+export const GUEST_CART_COOKIE = "guestCartToken"
+
+const getSecret = () => process.env.GUEST_CART_SECRET || process.env.JWT_SECRET
+
+// How long a guest cart survives without activity
+export const getGuestCartTtl = () => (Number(process.env.GUEST_CART_INACTIVITY_DAYS) || 7) * 24 * 60 * 60 * 1000
+
+// Sign a token for an existing guest cart session
+export const signGuestCartToken = (sessionId) => jwt.sign({ sid: sessionId, type: "guest_cart" }, getSecret())
+
+// Issue a signed token for a new guest cart session
+export const issueGuestCartToken = () => {
+  const sessionId = crypto.randomUUID()
+  const token = signGuestCartToken(sessionId)
+
+  return { sessionId, token }
+}
+
+// Verify a guest cart token and return its session id, or null when it is not valid
+export const verifyGuestCartToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSecret())
+    return decoded.type === "guest_cart" && decoded.sid ? decoded.sid : null
+  } catch (error) {
+    return null
+  }
+}
@@ -0,0 +1,186 @@
+import mongoose from "mongoose"
+import Product from "../models/product.model.js"
+import User from "../models/user.model.js"
+import InventoryMovement from "../models/inventory-movement.model.js"
+import { ApiError } from "./api-error.js"
+import { sendEmail } from "./email.js"
+
+// Read the stock of the product, or of one of its variants, from an updated document
+const getStockLevel = (product, variantId) => {
+  if (!variantId) {
+    return { stock: product.stock, sku: product.sku }
+  }
+
+  const variant = product.variants.find((item) => item._id.toString() === variantId.toString())
+  return variant ? { stock: variant.stock, sku: variant.sku } : null
+}
+
+// Email every admin when a stock level drops to or below the product's threshold
+const notifyLowStock = async (product, sku, stock) => {
+  try {
+    const admins = await User.find({ role: "admin", status: "active" }).select("email")
+    if (admins.length === 0) return
+
+    await sendEmail({
+      to: admins.map((admin) => admin.email).join(","),
+      subject: `Low stock: ${product.name} (${sku})`,
+      text: `Stock for ${product.name} (SKU ${sku}) is down to ${stock}, at or below the low-stock threshold of ${product.lowStockThreshold}.`,
+    })
+  } catch (error) {
+    // A failed alert must not fail the stock change itself
+    console.error("Error sending low stock alert:", error)
+  }
+}
+
+// Write a ledger entry for a stock change and alert admins when it crosses the threshold
+export const recordMovement = async (product, variantId, delta, { reason, actor = null, order, note } = {}) => {
+  const level = getStockLevel(product, variantId)
+  if (!level) return null
+
+  const movement = await InventoryMovement.create({
+    product: product._id,
+    variant: variantId || undefined,
+    sku: level.sku,
+    delta,
+    balance: level.stock,
+    reason,
+    actor,
+    order,
+    note,
+  })
+
+  const previousStock = level.stock - delta
+  if (delta < 0 && level.stock <= product.lowStockThreshold && previousStock > product.lowStockThreshold) {
+    await notifyLowStock(product, level.sku, level.stock)
+  }
+
+  return movement
+}
+
+// Adjust the stock of a product, or of one of its variants when a variant is given
+export const adjustStock = async (productId, variantId, delta, context = {}) => {
+  const product = variantId
+    ? await Product.findOneAndUpdate(
+        { _id: productId, "variants._id": variantId },
+        { $inc: { "variants.$.stock": delta } },
+        { new: true },
+      )
+    : await Product.findOneAndUpdate({ _id: productId }, { $inc: { stock: delta } }, { new: true })
+
+  if (product && context.reason) {
+    await recordMovement(product, variantId, delta, context)
+  }
+
+  return product
+}
+
+// Atomically take stock only when enough is available, returning whether it succeeded
+export const takeStock = async (productId, variantId, quantity, context = {}) => {
+  const product = variantId
+    ? await Product.findOneAndUpdate(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+        { $inc: { "variants.$.stock": -quantity } },
+        { new: true },
+      )
+    : await Product.findOneAndUpdate(
+        { _id: productId, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity } },
+        { new: true },
+      )
+
+  if (product && context.reason) {
+    await recordMovement(product, variantId, -quantity, context)
+  }
+
+  return Boolean(product)
+}
+
+// Record the stock differences between two versions of a product, matching variants by SKU
+export const recordStockChanges = async (before, after, context) => {
+  const movements = []
+
+  const productDelta = after.stock - (before ? before.stock : 0)
+  if (productDelta !== 0) {
+    movements.push(await recordMovement(after, null, productDelta, context))
+  }
+
+  for (const variant of after.variants) {
+    const previous = before ? before.variants.find((item) => item.sku === variant.sku) : null
+    const delta = variant.stock - (previous ? previous.stock : 0)
+    if (delta !== 0) {
+      movements.push(await recordMovement(after, variant._id, delta, context))
+    }
+  }
+
+  return movements
+}
+
+// How often to retry a product edit when its stock changed while it was being saved
+const MAX_EDIT_ATTEMPTS = 5
+
+// Take the stock levels out of a product edit so they can go through the ledger instead of being saved directly
+// The edit keeps the stock each existing variant has, new variants start empty and are stocked afterwards
+const splitStockLevels = (product, data) => {
+  const { stock, ...fields } = data
+  const levels = []
+
+  if (stock !== undefined) {
+    levels.push({ variant: null, from: product.stock, to: stock })
+  }
+
+  if (fields.variants) {
+    fields.variants = product.preserveVariantIds(fields.variants).map(({ stock: variantStock, ...variant }) => {
+      const existing = variant._id ? product.variants.id(variant._id) : null
+      const _id = existing ? existing._id : variant._id || new mongoose.Types.ObjectId()
+      const from = existing ? existing.stock : 0
+
+      if (variantStock !== undefined) {
+        levels.push({ variant: _id, from, to: variantStock })
+      }
+
+      return { ...variant, _id, stock: from }
+    })
+  }
+
+  return { fields, levels }
+}
+
+// Save an edit to an existing product, applying any stock levels in it as ledger adjustments
+// The edit is only written while the stock is still what it was read as, so concurrent sales are never overwritten
+export const saveProductEdit = async (productId, data, context, { dryRun = false } = {}) => {
+  for (let attempt = 0; attempt < MAX_EDIT_ATTEMPTS; attempt++) {
+    const product = await Product.findById(productId)
+    if (!product) {
+      throw new ApiError(404, "Product not found")
+    }
+
+    const variantStock = product.variants.map((variant) => variant.stock)
+    const { fields, levels } = splitStockLevels(product, data)
+
+    // Validating also regenerates the slug when the product is renamed
+    product.set(fields)
+    await product.validate()
+
+    if (dryRun) return product
+
+    const { matchedCount } = await Product.updateOne(
+      { _id: product._id, stock: product.stock, $expr: { $eq: ["$variants.stock", variantStock] } },
+      product.getChanges(),
+    )
+    if (matchedCount === 0) continue
+
+    // Absolute levels become changes from the stock the edit was based on, the same as a manual adjustment
+    for (const { variant, from, to } of levels) {
+      const delta = to - from
+      if (delta > 0) {
+        await adjustStock(product._id, variant, delta, context)
+      } else if (delta < 0 && !(await takeStock(product._id, variant, -delta, context))) {
+        throw new ApiError(409, "Stock was sold while the product was saved and cannot be lowered as requested")
+      }
+    }
+
+    return Product.findById(product._id)
+  }
+
+  throw new ApiError(409, "The stock of this product kept changing while it was saved, try again")
+}
@@ -0,0 +1,159 @@
+import PDFDocument from "pdfkit"
+import { getCurrencyDecimals } from "./currency.js"
+
+const PAGE_MARGIN = 50
+
+// Columns of the line item table, x positions and widths in points
+const COLUMNS = [
+  { key: "name", label: "Item", x: 50, width: 170 },
+  { key: "sku", label: "SKU", x: 220, width: 80 },
+  { key: "quantity", label: "Qty", x: 300, width: 35, align: "right" },
+  { key: "unitPrice", label: "Unit price", x: 340, width: 65, align: "right" },
+  { key: "discount", label: "Discount", x: 410, width: 55, align: "right" },
+  { key: "taxAmount", label: "Tax", x: 465, width: 45, align: "right" },
+  { key: "total", label: "Total", x: 510, width: 55, align: "right" },
+]
+
+// Amounts are printed with their currency code, the built in PDF fonts lack many currency symbols
+const formatMoney = (amount, currency) => `${(amount || 0).toFixed(getCurrencyDecimals(currency))} ${currency}`
+
+// Address lines of the customer block
+const formatAddress = (address) =>
+  address
+    ? [
+        `${address.firstName || ""} ${address.lastName || ""}`.trim(),
+        address.addressLine1,
+        address.addressLine2,
+        [address.postalCode, address.city].filter(Boolean).join(" "),
+        [address.state, address.country].filter(Boolean).join(", "),
+        address.phone,
+      ].filter(Boolean)
+    : []
+
+// Write one row of the line item table at y, returning where the next row starts
+const writeTableRow = (doc, values, y, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9)
+
+  let height = 0
+  for (const column of COLUMNS) {
+    const options = { width: column.width, align: column.align || "left" }
+    doc.text(String(values[column.key] ?? ""), column.x, y, options)
+    height = Math.max(height, doc.heightOfString(String(values[column.key] ?? ""), options))
+  }
+
+  return y + height + 6
+}
+
+// Write a labelled amount under the table, returning where the next one starts
+const writeTotal = (doc, label, value, y, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10)
+  doc.text(label, 340, y, { width: 125, align: "right" })
+  doc.text(value, 465, y, { width: 100, align: "right" })
+  return y + 16
+}
+
+// Write an invoice or credit note as a PDF to the given stream
+export const writeInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN })
+  const money = (amount) => formatMoney(amount, invoice.currency)
+  const isCreditNote = invoice.type === "credit_note"
+
+  doc.pipe(stream)
+
+  // Seller
+  doc.font("Helvetica-Bold").fontSize(14).text(invoice.company?.name || "", PAGE_MARGIN, PAGE_MARGIN)
+  doc.font("Helvetica").fontSize(9)
+  for (const line of [
+    ...(invoice.company?.address || []),
+    invoice.company?.email,
+    invoice.company?.phone,
+    invoice.company?.taxId ? `Tax ID: ${invoice.company.taxId}` : null,
+  ].filter(Boolean)) {
+    doc.text(line)
+  }
+
+  // Document details
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(isCreditNote ? "CREDIT NOTE" : "INVOICE", 350, PAGE_MARGIN, { width: 215, align: "right" })
+  doc.font("Helvetica").fontSize(9)
+  const details = [
+    `Number: ${invoice.number}`,
+    `Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`,
+    `Order: ${invoice.orderNumber}`,
+    isCreditNote ? `Credits invoice: ${invoice.invoiceNumber}` : null,
+  ].filter(Boolean)
+  for (const line of details) {
+    doc.text(line, 350, doc.y, { width: 215, align: "right" })
+  }
+
+  // Customer
+  let y = Math.max(doc.y, 150) + 20
+  doc.font("Helvetica-Bold").fontSize(10).text("Bill to", PAGE_MARGIN, y)
+  doc.font("Helvetica").fontSize(9)
+  for (const line of [...formatAddress(invoice.billingAddress), invoice.customerEmail].filter(Boolean)) {
+    doc.text(line)
+  }
+
+  // Line items
+  y = doc.y + 20
+  y = writeTableRow(doc, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), y, { bold: true })
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(565, y - 3).stroke()
+
+  for (const line of invoice.lines) {
+    if (y > doc.page.height - 200) {
+      doc.addPage()
+      y = PAGE_MARGIN
+    }
+
+    y = writeTableRow(
+      doc,
+      {
+        name: line.name,
+        sku: line.sku,
+        quantity: line.quantity,
+        unitPrice: money(line.unitPrice),
+        discount: line.discount ? `-${money(line.discount)}` : "",
+        taxAmount: line.taxAmount ? money(line.taxAmount) : "",
+        total: money(line.total),
+      },
+      y,
+    )
+  }
+
+  doc.moveTo(PAGE_MARGIN, y).lineTo(565, y).stroke()
+  y += 10
+
+  // Totals
+  y = writeTotal(doc, "Subtotal", money(invoice.subtotal), y)
+  if (invoice.discountTotal) {
+    const codes = (invoice.coupons || []).map((coupon) => coupon.code).join(", ")
+    y = writeTotal(doc, codes ? `Discounts (${codes})` : "Discounts", `-${money(invoice.discountTotal)}`, y)
+  }
+  if (invoice.shippingTotal) {
+    y = writeTotal(doc, "Shipping", money(invoice.shippingTotal), y)
+  }
+  if (invoice.taxBreakdown?.length > 0) {
+    for (const tax of invoice.taxBreakdown) {
+      y = writeTotal(doc, `${tax.name} (${tax.rate}%)`, money(tax.amount), y)
+    }
+  } else if (invoice.taxTotal) {
+    y = writeTotal(doc, "Tax", money(invoice.taxTotal), y)
+  }
+  y = writeTotal(doc, isCreditNote ? "Total credited" : "Total", money(invoice.total), y + 4, { bold: true })
+
+  doc.font("Helvetica").fontSize(9)
+  if (invoice.pricesIncludeTax) {
+    doc.text("Prices include tax.", PAGE_MARGIN, y + 10)
+  }
+  if (isCreditNote && (invoice.reason || invoice.note)) {
+    doc.text(
+      [invoice.reason ? `Reason: ${invoice.reason.replace(/_/g, " ")}` : null, invoice.note].filter(Boolean).join(". "),
+      PAGE_MARGIN,
+      doc.y + 10,
+    )
+  }
+
+  doc.end()
+}
@@ -0,0 +1,161 @@
+import Invoice from "../models/invoice.model.js"
+import Order from "../models/order.model.js"
+import Refund from "../models/refund.model.js"
+import { roundAmount } from "./currency.js"
+
+// How often to retry when another invoice took the next number first
+const MAX_NUMBER_ATTEMPTS = 5
+
+// Seller details printed on every invoice, address lines are separated by | or new lines
+export const getCompanyDetails = () => ({
+  name: process.env.COMPANY_NAME || "",
+  address: (process.env.COMPANY_ADDRESS || "")
+    .split(/\r?\n|\|/)
+    .map((line) => line.trim())
+    .filter(Boolean),
+  email: process.env.COMPANY_EMAIL || "",
+  phone: process.env.COMPANY_PHONE || "",
+  taxId: process.env.COMPANY_TAX_ID || "",
+})
+
+// Number prefix for invoices and for credit notes
+const getNumberPrefix = (type) =>
+  type === "invoice" ? process.env.INVOICE_NUMBER_PREFIX || "INV" : process.env.CREDIT_NOTE_NUMBER_PREFIX || "CN"
+
+// Where the customer downloads the invoice of an order
+export const getInvoiceUrl = (orderId) => `/api/orders/${orderId}/invoice`
+
+// Save an invoice or credit note under the next number of its type
+// Numbers are only taken by saved documents, so a failed save never leaves a gap
+const issueDocument = async (type, fields, existingQuery) => {
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const latest = await Invoice.findOne({ type }).sort({ sequence: -1 }).select("sequence")
+    const sequence = (latest ? latest.sequence : 0) + 1
+
+    try {
+      return await Invoice.create({
+        ...fields,
+        type,
+        sequence,
+        number: `${getNumberPrefix(type)}-${sequence.toString().padStart(6, "0")}`,
+        company: getCompanyDetails(),
+      })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+
+      // Issued for this order or refund by another request in the meantime
+      const existing = await Invoice.findOne(existingQuery)
+      if (existing) return existing
+    }
+  }
+
+  throw new Error(`Could not allocate a ${type.replace("_", " ")} number`)
+}
+
+// Issue the invoice for a paid order, or return the one already issued
+export const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order: order._id, type: "invoice" })
+  if (existing) return existing
+
+  // Line totals are before discounts, which are taken off in the totals below them
+  const lines = order.items.map((item) => ({
+    name: item.name,
+    sku: item.sku,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    discount: item.discountAmount || 0,
+    taxRate: item.taxRate,
+    taxAmount: item.taxAmount,
+    total: item.subtotal,
+  }))
+
+  const invoice = await issueDocument(
+    "invoice",
+    {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customerEmail: order.email,
+      billingAddress: order.billingAddress?.toObject ? order.billingAddress.toObject() : order.billingAddress,
+      lines,
+      coupons: order.appliedCoupons.map(({ code, discount }) => ({ code, discount })),
+      currency: order.currency,
+      pricesIncludeTax: order.pricesIncludeTax,
+      subtotal: order.subtotal,
+      discountTotal: order.discountTotal,
+      shippingTotal: order.shippingTotal,
+      taxTotal: order.taxTotal,
+      taxBreakdown: order.taxBreakdown.map(({ name, rate, taxableAmount, amount }) => ({
+        name,
+        rate,
+        taxableAmount,
+        amount,
+      })),
+      total: order.grandTotal,
+    },
+    { order: order._id, type: "invoice" },
+  )
+
+  await Order.updateOne({ _id: order._id }, { invoiceUrl: getInvoiceUrl(order._id) })
+
+  return invoice
+}
+
+// Issue the credit note for a refund, referencing the invoice of its order
+export const issueCreditNote = async (order, refund) => {
+  const existing = await Invoice.findOne({ refund: refund._id })
+  if (existing) return existing
+
+  const invoice = await issueInvoice(order)
+
+  const lines = refund.items.map((item) => ({
+    name: item.name,
+    sku: item.sku,
+    quantity: item.quantity,
+    unitPrice: roundAmount(item.amount / item.quantity, refund.currency),
+    taxAmount: refund.includesTax ? item.taxAmount : 0,
+    total: item.amount,
+  }))
+  if (refund.includesShipping) {
+    lines.push({ name: "Shipping", quantity: 1, unitPrice: refund.shippingAmount, total: refund.shippingAmount })
+  }
+
+  // Refunds of a set amount differ from what their lines add up to, show the difference as its own line
+  const subtotal = lines.reduce((total, line) => total + line.total, 0)
+  const adjustment = roundAmount(refund.amount - subtotal - refund.taxAmount, refund.currency)
+  if (adjustment !== 0) {
+    lines.push({
+      name: lines.length > 0 ? "Adjustment" : "Refund",
+      quantity: 1,
+      unitPrice: adjustment,
+      total: adjustment,
+    })
+  }
+
+  const creditNote = await issueDocument(
+    "credit_note",
+    {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      refund: refund._id,
+      invoice: invoice._id,
+      invoiceNumber: invoice.number,
+      customerEmail: order.email,
+      billingAddress: invoice.toObject().billingAddress,
+      lines,
+      currency: refund.currency,
+      pricesIncludeTax: false,
+      subtotal: roundAmount(subtotal + adjustment, refund.currency),
+      discountTotal: 0,
+      shippingTotal: 0,
+      taxTotal: refund.taxAmount,
+      total: refund.amount,
+      reason: refund.reason,
+      note: refund.note,
+    },
+    { refund: refund._id },
+  )
+
+  await Refund.updateOne({ _id: refund._id }, { creditNote: creditNote._id })
+
+  return creditNote
+}
@@ -0,0 +1,243 @@
+import Order from "../models/order.model.js"
+import { ApiError } from "./api-error.js"
+import { sendEmail } from "./email.js"
+import { issueInvoice } from "./invoice.js"
+import { PENDING_PAYMENT_PREFIX, getPaymentClaimTimeout, getPaymentProvider } from "./payment.js"
+import { reverseRedemptions } from "./promotion-redemption.js"
+import {
+  commitReservation,
+  expireReservation,
+  findExpiredReservations,
+  releaseReservation,
+} from "./stock-reservation.js"
+
+// Statuses each status can move to, cancelled and refunded orders are final
+// Partially shipped is only ever reached through shipments, see utils/fulfillment.js
+// Paid orders are refunded rather than cancelled, see cancelOrRefundOrder in utils/refunds.js
+export const ORDER_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["partially_shipped", "shipped", "refunded"],
+  partially_shipped: ["shipped", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["partially_refunded", "refunded"],
+  partially_refunded: ["refunded"],
+  cancelled: [],
+  refunded: [],
+}
+
+// Check whether an order may move from one status to another
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to)
+
+// Checks that must pass before an order enters a status
+const beforeHooks = {
+  shipped: (order, { trackingNumber }) => {
+    if (trackingNumber) {
+      order.shippingTrackingNumber = trackingNumber
+    }
+    if (!order.shippingTrackingNumber) {
+      throw new ApiError(400, "A tracking number is required to ship an order", [
+        { field: "trackingNumber", message: "trackingNumber is required" },
+      ])
+    }
+  },
+}
+
+// Side effects once an order has entered a status
+const afterHooks = {
+  // Payment has completed, so the held stock is no longer released on expiry and the order is invoiced
+  processing: async (order) => {
+    await commitReservation(order._id)
+
+    try {
+      await issueInvoice(order)
+    } catch (error) {
+      // The invoice is issued when first downloaded instead
+      console.error("Error issuing invoice:", error)
+    }
+  },
+  // Put the stock back and stop counting the order towards promotion usage
+  cancelled: async (order, { actor, note }) => {
+    await releaseReservation(order, { actor, note })
+    await reverseRedemptions(order._id)
+  },
+  // Returned items are restocked one by one by the return, so skip the blanket restock for them
+  refunded: async (order, { actor, note, restock }) => {
+    if (restock) {
+      await releaseReservation(order, { actor, note: note || "Order refunded" })
+    }
+    await reverseRedemptions(order._id)
+  },
+}
+
+// Customer facing wording for each status
+const STATUS_EMAILS = {
+  processing: {
+    subject: "is being prepared",
+    text: () => "We have received your payment and are preparing your order.",
+  },
+  partially_shipped: {
+    subject: "has partly shipped",
+    text: (order) =>
+      `Part of your order is on its way and the rest will follow. Tracking number: ${order.shippingTrackingNumber}`,
+  },
+  shipped: {
+    subject: "has shipped",
+    text: (order) => `Your order is on its way. Tracking number: ${order.shippingTrackingNumber}`,
+  },
+  delivered: {
+    subject: "has been delivered",
+    text: () => "Your order has been delivered. We hope you enjoy it.",
+  },
+  cancelled: {
+    subject: "has been cancelled",
+    text: (order, note) => `Your order has been cancelled.${note ? ` Reason: ${note}` : ""}`,
+  },
+  refunded: {
+    subject: "has been refunded",
+    text: (order) => `Your order has been refunded. ${order.grandTotal} ${order.currency} will be returned to you.`,
+  },
+}
+
+// Tell the customer about the new status
+const notifyCustomer = async (order, note) => {
+  const email = STATUS_EMAILS[order.status]
+  if (!email || !order.email) return
+
+  try {
+    await sendEmail({
+      to: order.email,
+      subject: `Order ${order.orderNumber} ${email.subject}`,
+      text: email.text(order, note),
+    })
+  } catch (error) {
+    // A failed email must not undo the status change
+    console.error("Error sending order status email:", error)
+  }
+}
+
+// Move an order to a new status along the allowed transitions, running the hooks for the new status
+// Callers that restock or email the customer themselves can turn those steps off,
+// and callers can give extra conditions the stored order must still meet for the move to happen
+export const transitionOrder = async (
+  order,
+  status,
+  { actor = null, note, trackingNumber, restock = true, notify = true, match = {} } = {},
+) => {
+  const from = order.status
+
+  if (from === status) {
+    throw new ApiError(400, `Order is already ${status}`)
+  }
+
+  if (!canTransition(from, status)) {
+    const allowed = ORDER_TRANSITIONS[from] || []
+    throw new ApiError(400, `Cannot change order status from ${from} to ${status}`, [
+      {
+        field: "status",
+        message: allowed.length > 0 ? `Allowed next statuses: ${allowed.join(", ")}` : `${from} orders are final`,
+      },
+    ])
+  }
+
+  if (beforeHooks[status]) {
+    beforeHooks[status](order, { trackingNumber })
+  }
+
+  // Only move the order if nobody changed its status in the meantime, so hooks never run twice
+  const updated = await Order.findOneAndUpdate(
+    { ...match, _id: order._id, status: from },
+    {
+      status,
+      shippingTrackingNumber: order.shippingTrackingNumber,
+      $push: { statusHistory: { status, note: note || `Status updated to ${status}` } },
+    },
+    { new: true },
+  )
+
+  if (!updated) {
+    throw new ApiError(409, "The order status was changed by another request, reload it and try again")
+  }
+
+  if (afterHooks[status]) {
+    await afterHooks[status](updated, { actor, note, restock })
+  }
+
+  if (notify) {
+    await notifyCustomer(updated, note)
+  }
+
+  return updated
+}
+
+// Cancel the orders still waiting for payment once their stock hold expires, returning how many were cancelled
+// The order is cancelled before its stock is released, so a payment that lands first keeps the stock it paid for
+export const cancelUnpaidOrders = async (now = new Date()) => {
+  const reservations = await findExpiredReservations(now)
+  let cancelled = 0
+
+  for (const reservation of reservations) {
+    const order = await Order.findById(reservation.order)
+
+    // Holds of orders that were never saved have no order to cancel
+    if (!order) {
+      await expireReservation(reservation._id)
+      continue
+    }
+
+    // Orders with a payment in progress are left to the payment
+    if (order.status !== "pending" || order.paymentId) continue
+
+    try {
+      await transitionOrder(order, "cancelled", {
+        note: "Payment was not completed before the stock reservation expired",
+        match: { paymentId: null },
+      })
+      cancelled += 1
+    } catch (error) {
+      // Paid or changed by another request since it was loaded
+      if (error.statusCode !== 409) throw error
+    }
+  }
+
+  return cancelled
+}
+
+// Settle payment claims left behind by requests that stopped while charging, returning how many were settled
+// Orders the provider did charge move on as paid, the others are released so they can be paid again or cancelled
+export const reconcileStalePayments = async (now = new Date()) => {
+  const orders = await Order.find({
+    status: "pending",
+    paymentId: { $regex: `^${PENDING_PAYMENT_PREFIX}` },
+    $or: [
+      { paymentClaimedAt: { $lte: new Date(now.getTime() - getPaymentClaimTimeout()) } },
+      { paymentClaimedAt: null },
+    ],
+  })
+  let settled = 0
+
+  for (const order of orders) {
+    const charge = await getPaymentProvider().findCharge({ order })
+
+    // Only settle the claim that was found, a request finishing in the meantime wins
+    const claim = { _id: order._id, status: "pending", paymentId: order.paymentId }
+    const updated = await Order.findOneAndUpdate(
+      claim,
+      { paymentId: charge ? charge.reference : null, $unset: { paymentClaimedAt: "" } },
+      { new: true },
+    )
+    if (!updated) continue
+
+    if (charge) {
+      try {
+        await transitionOrder(updated, "processing", { note: `Payment ${charge.reference} received` })
+      } catch (error) {
+        if (error.statusCode !== 409) throw error
+        continue
+      }
+    }
+
+    settled += 1
+  }
+
+  return settled
+}
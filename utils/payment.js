@@ -0,0 +1,90 @@
+import crypto from "crypto"
+import PaymentTransaction from "../models/payment-transaction.model.js"
+import { ApiError } from "./api-error.js"
+import { roundAmount } from "./currency.js"
+
+// Placeholder payment id of an order while a payment request is charging it
+export const PENDING_PAYMENT_PREFIX = "pending:"
+
+// How long a payment request may hold an order before its claim is treated as abandoned
+export const getPaymentClaimTimeout = () => (Number(process.env.PAYMENT_CLAIM_TIMEOUT_MINUTES) || 10) * 60 * 1000
+
+const newReference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`
+
+// Local provider that records charges and refunds in the database instead of calling a payment service
+const mockProvider = {
+  name: "mock",
+
+  async charge({ order, amount, currency, method }) {
+    const transaction = await PaymentTransaction.create({
+      provider: "mock",
+      type: "charge",
+      order: order._id,
+      reference: newReference("mock_ch"),
+      amount,
+      currency,
+      method,
+    })
+
+    return { reference: transaction.reference, status: transaction.status }
+  },
+
+  // Latest charge taken for an order, used to settle payments whose request stopped part way
+  async findCharge({ order }) {
+    const transaction = await PaymentTransaction.findOne({
+      order: order._id,
+      type: "charge",
+      status: "succeeded",
+    }).sort({ createdAt: -1 })
+
+    return transaction ? { reference: transaction.reference, status: transaction.status } : null
+  },
+
+  async refund({ order, paymentReference, amount, currency, reason }) {
+    // Like a real provider, never refund more than was charged
+    if (paymentReference) {
+      const charge = await PaymentTransaction.findOne({ reference: paymentReference, type: "charge" })
+      if (charge) {
+        const refunds = await PaymentTransaction.find({
+          parentReference: paymentReference,
+          type: "refund",
+          status: "succeeded",
+        })
+        const refunded = refunds.reduce((total, refund) => total + refund.amount, 0)
+
+        if (roundAmount(refunded + amount, currency) > charge.amount) {
+          return { status: "failed", failureReason: "Refund exceeds the amount charged" }
+        }
+      }
+    }
+
+    const transaction = await PaymentTransaction.create({
+      provider: "mock",
+      type: "refund",
+      order: order._id,
+      reference: newReference("mock_re"),
+      parentReference: paymentReference,
+      amount,
+      currency,
+      reason,
+    })
+
+    return { reference: transaction.reference, status: transaction.status }
+  },
+}
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+}
+
+// Provider that takes payments and refunds, chosen with PAYMENT_PROVIDER
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || mockProvider.name
+  const provider = providers[name]
+
+  if (!provider) {
+    throw new ApiError(500, `Unknown payment provider ${name}`)
+  }
+
+  return provider
+}
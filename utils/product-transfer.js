@@ -0,0 +1,109 @@
+import { toCsvRow } from "./csv.js"
+
+// Columns used by product CSV imports and exports
+export const PRODUCT_CSV_COLUMNS = [
+  "sku",
+  "slug",
+  "name",
+  "description",
+  "price",
+  "compareAtPrice",
+  "prices",
+  "category",
+  "subcategory",
+  "stock",
+  "lowStockThreshold",
+  "taxClass",
+  "weight",
+  "barcode",
+  "tags",
+  "featured",
+  "status",
+  "images",
+  "variants",
+  "attributes",
+]
+
+const NUMBER_COLUMNS = ["price", "compareAtPrice", "stock", "lowStockThreshold", "weight"]
+const JSON_COLUMNS = ["prices", "images", "variants", "attributes"]
+
+// Convert a parsed CSV row into a product payload, collecting cell level errors
+export const csvRowToProduct = (row) => {
+  const product = {}
+  const errors = []
+
+  for (const column of PRODUCT_CSV_COLUMNS) {
+    const value = row[column] === undefined ? "" : String(row[column]).trim()
+    if (value === "") continue
+
+    if (NUMBER_COLUMNS.includes(column)) {
+      product[column] = Number(value)
+    } else if (JSON_COLUMNS.includes(column)) {
+      try {
+        product[column] = JSON.parse(value)
+      } catch (error) {
+        errors.push({ field: column, message: `${column} must contain valid JSON` })
+      }
+    } else if (column === "tags") {
+      product.tags = value
+        .split("|")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    } else if (column === "featured") {
+      product.featured = value.toLowerCase() === "true"
+    } else {
+      product[column] = value
+    }
+  }
+
+  return { product, errors }
+}
+
+// Convert a product document into a plain record accepted by the product schema
+export const productToRecord = (product) => {
+  const record = {
+    sku: product.sku,
+    slug: product.slug,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    compareAtPrice: product.compareAtPrice,
+    prices: (product.prices || []).map(({ currency, price, compareAtPrice }) => ({ currency, price, compareAtPrice })),
+    category: product.category?.toString(),
+    subcategory: product.subcategory?.toString(),
+    stock: product.stock,
+    lowStockThreshold: product.lowStockThreshold,
+    taxClass: product.taxClass,
+    weight: product.weight,
+    barcode: product.barcode,
+    tags: product.tags,
+    featured: product.featured,
+    status: product.status,
+    images: (product.images || []).map(({ url, alt, isDefault }) => ({ url, alt, isDefault })),
+    variants: (product.variants || []).map(({ size, color, weight, price, prices, stock, sku }) => ({
+      size,
+      color,
+      weight,
+      price,
+      prices: (prices || []).map(({ currency, price, compareAtPrice }) => ({ currency, price, compareAtPrice })),
+      stock,
+      sku,
+    })),
+    attributes: product.attributes instanceof Map ? Object.fromEntries(product.attributes) : product.attributes,
+  }
+
+  // Drop empty values so the record validates on re-import
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== null))
+}
+
+// Convert a product record into a CSV line
+export const recordToCsvRow = (record) =>
+  toCsvRow(
+    PRODUCT_CSV_COLUMNS.map((column) => {
+      const value = record[column]
+      if (value === undefined) return ""
+      if (column === "tags") return value.join("|")
+      if (JSON_COLUMNS.includes(column)) return JSON.stringify(value)
+      return value
+    }),
+  )
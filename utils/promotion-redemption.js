@@ -0,0 +1,78 @@
+import Promotion from "../models/promotion.model.js"
+import PromotionRedemption from "../models/promotion-redemption.model.js"
+import { ApiError } from "./api-error.js"
+
+// Count how many active redemptions a customer has for a promotion
+export const countCustomerRedemptions = async (promotionId, { user, email }) => {
+  const customers = []
+  if (user) customers.push({ user })
+  if (email) customers.push({ email: email.toLowerCase() })
+  if (customers.length === 0) return 0
+
+  return PromotionRedemption.countDocuments({ promotion: promotionId, status: "active", $or: customers })
+}
+
+// Record a redemption for every coupon on the order and count it against the promotion's limits
+export const redeemPromotions = async (order, discounts) => {
+  for (const discount of discounts) {
+    const promotion = await Promotion.findById(discount.promotion)
+    if (!promotion) {
+      throw new ApiError(400, `Coupon ${discount.code} is no longer available`)
+    }
+
+    if (promotion.usageLimit.perUser !== null) {
+      const timesUsed = await countCustomerRedemptions(promotion._id, { user: order.user, email: order.email })
+      if (timesUsed >= promotion.usageLimit.perUser) {
+        throw new ApiError(400, `You have reached the usage limit for coupon ${promotion.code}`)
+      }
+    }
+
+    // Increment only while the total usage limit has not been reached
+    const counted = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion._id,
+        $or: [{ "usageLimit.total": null }, { $expr: { $lt: ["$usageCount", "$usageLimit.total"] } }],
+      },
+      { $inc: { usageCount: 1 } },
+    )
+    if (!counted) {
+      throw new ApiError(409, `Coupon ${promotion.code} has reached its usage limit`)
+    }
+
+    try {
+      await PromotionRedemption.create({
+        promotion: promotion._id,
+        order: order._id,
+        user: order.user,
+        email: order.email,
+        code: promotion.code,
+        discount: discount.amount,
+        orderTotal: order.grandTotal,
+        currency: order.currency,
+      })
+    } catch (error) {
+      await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } })
+      throw error
+    }
+  }
+}
+
+// Reverse the active redemptions of an order and give the usage back to each promotion
+export const reverseRedemptions = async (orderId) => {
+  const redemptions = await PromotionRedemption.find({ order: orderId, status: "active" }).select("_id promotion")
+  let reversed = 0
+
+  for (const { _id, promotion } of redemptions) {
+    // Claim the redemption first so it is only reversed once
+    const redemption = await PromotionRedemption.findOneAndUpdate(
+      { _id, status: "active" },
+      { status: "reversed", reversedAt: new Date() },
+    )
+    if (!redemption) continue
+
+    await Promotion.updateOne({ _id: promotion, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } })
+    reversed += 1
+  }
+
+  return reversed
+}
@@ -0,0 +1,272 @@
+import Order from "../models/order.model.js"
+import Refund from "../models/refund.model.js"
+import { ApiError } from "./api-error.js"
+import { roundAmount } from "./currency.js"
+import { sendEmail } from "./email.js"
+import { getPaymentProvider } from "./payment.js"
+import { issueCreditNote } from "./invoice.js"
+import { transitionOrder } from "./order-status.js"
+
+// Orders that have been paid for and not refunded in full yet
+export const REFUNDABLE_ORDER_STATUSES = [
+  "processing",
+  "partially_shipped",
+  "shipped",
+  "delivered",
+  "partially_refunded",
+]
+
+// Refunds that count towards what has been refunded, failed ones never left the store
+const ACTIVE_REFUND_STATUSES = ["pending", "succeeded"]
+
+// Stored totals are sums of rounded amounts, allow for floating point error when comparing them
+const AMOUNT_TOLERANCE = 0.000001
+
+// Coupon discount given on the items, orders placed before lines kept their share count it all against the items
+const getItemDiscount = (order) =>
+  order.items.every((item) => item.discountAmount !== undefined)
+    ? order.items.reduce((total, item) => total + item.discountAmount, 0)
+    : Math.min(order.discountTotal, order.subtotal)
+
+// What the customer paid for some units of an order line, after its share of the discount, split into amount and tax
+export const getLineAmounts = (order, orderItem, quantity) => {
+  const discount =
+    orderItem.discountAmount ??
+    (order.subtotal > 0 ? (getItemDiscount(order) * orderItem.subtotal) / order.subtotal : 0)
+  const share = quantity / orderItem.quantity
+  const taxAmount = orderItem.taxAmount * share
+  const paid = (orderItem.subtotal - discount) * share
+
+  // Inclusive prices already contain the tax
+  return { amount: order.pricesIncludeTax ? paid - taxAmount : paid, taxAmount }
+}
+
+// What the customer paid for shipping after free shipping coupons, split into amount and tax
+export const getShippingAmounts = (order) => {
+  const shippingDiscount = Math.max(order.discountTotal - getItemDiscount(order), 0)
+  const paid = Math.max(order.shippingTotal - shippingDiscount, 0)
+
+  return { amount: order.pricesIncludeTax ? paid - order.shippingTax : paid, taxAmount: order.shippingTax }
+}
+
+// Build the refund lines, none refunding more units than are left on the order line
+const buildRefundItems = (order, requested, previous) => {
+  const refunded = new Map()
+  for (const refund of previous) {
+    for (const item of refund.items) {
+      const key = item.orderItem.toString()
+      refunded.set(key, (refunded.get(key) || 0) + item.quantity)
+    }
+  }
+
+  const items = []
+  const errors = []
+
+  for (const line of requested) {
+    const orderItem = order.items.id(line.orderItem)
+
+    if (!orderItem) {
+      errors.push({ field: "items", message: `Order item ${line.orderItem} is not part of this order` })
+      continue
+    }
+
+    const remaining = orderItem.quantity - (refunded.get(orderItem._id.toString()) || 0)
+    if (line.quantity > remaining) {
+      errors.push({ field: "items", message: `Only ${remaining} of ${orderItem.name} are left to refund` })
+      continue
+    }
+
+    const { amount, taxAmount } = getLineAmounts(order, orderItem, line.quantity)
+    items.push({
+      orderItem: orderItem._id,
+      name: orderItem.name,
+      sku: orderItem.sku,
+      quantity: line.quantity,
+      amount: roundAmount(amount, order.currency),
+      taxAmount: roundAmount(taxAmount, order.currency),
+    })
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, "Some items cannot be refunded", errors)
+  }
+
+  return items
+}
+
+// Tell the customer about the refund
+const notifyRefund = async (order, refund) => {
+  if (!order.email) return
+
+  try {
+    await sendEmail({
+      to: order.email,
+      subject: `Refund for order ${order.orderNumber}`,
+      text:
+        `We have refunded ${refund.amount} ${refund.currency} for your order ${order.orderNumber}.` +
+        (refund.note ? ` ${refund.note}` : ""),
+    })
+  } catch (error) {
+    // A failed email must not undo the refund
+    console.error("Error sending refund email:", error)
+  }
+}
+
+// Mark the order refunded once nothing is left to refund, or partially refunded after delivery
+const syncRefundStatus = async (order, refund, { actor }) => {
+  const fullyRefunded = roundAmount(order.grandTotal - order.refundedTotal, order.currency) <= 0
+  const status = fullyRefunded ? "refunded" : order.status === "delivered" ? "partially_refunded" : null
+
+  if (!status || status === order.status) {
+    return order
+  }
+
+  // Only stock that never left the warehouse goes back, shipped items come back through returns
+  return transitionOrder(order, status, {
+    actor,
+    note: `Refunded ${refund.amount} ${refund.currency}`,
+    restock: order.status === "processing",
+    notify: false,
+  })
+}
+
+// Refund part or all of an order through the payment provider and record it in the refund ledger
+// Without an amount the refund is what was paid for the given lines, plus shipping and tax when included
+export const refundOrder = async (
+  order,
+  {
+    items = [],
+    includeShipping = false,
+    includeTax = true,
+    amount,
+    reason,
+    note,
+    actor = null,
+    returnRequest,
+    notify = true,
+  },
+) => {
+  if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new ApiError(400, `A ${order.status} order cannot be refunded`)
+  }
+
+  const previous = await Refund.find({ order: order._id, status: { $in: ACTIVE_REFUND_STATUSES } })
+  const refundItems = buildRefundItems(order, items, previous)
+
+  if (includeShipping && previous.some((refund) => refund.includesShipping)) {
+    throw new ApiError(400, "Shipping has already been refunded for this order")
+  }
+  const shipping = includeShipping ? getShippingAmounts(order) : { amount: 0, taxAmount: 0 }
+
+  const taxAmount = includeTax
+    ? roundAmount(refundItems.reduce((total, item) => total + item.taxAmount, 0) + shipping.taxAmount, order.currency)
+    : 0
+  const shippingAmount = roundAmount(shipping.amount, order.currency)
+  const calculated = refundItems.reduce((total, item) => total + item.amount, 0) + shippingAmount + taxAmount
+  const total = roundAmount(amount ?? calculated, order.currency)
+
+  if (total <= 0) {
+    throw new ApiError(400, "The refund amount must be greater than zero")
+  }
+
+  // Count the refund against the order before paying it out, so refunds together never exceed the grand total
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: ["$refundedTotal", total] }, { $add: ["$grandTotal", AMOUNT_TOLERANCE] }] },
+    },
+    { $inc: { refundedTotal: total } },
+    { new: true },
+  )
+
+  if (!reserved) {
+    const remaining = roundAmount(order.grandTotal - order.refundedTotal, order.currency)
+    throw new ApiError(400, `Only ${remaining} ${order.currency} is left to refund on this order`)
+  }
+
+  // Until the provider has paid the refund out, any failure gives the reserved amount back to the order
+  const provider = getPaymentProvider()
+  let refund
+  let result
+  try {
+    refund = await Refund.create({
+      order: order._id,
+      returnRequest,
+      amount: total,
+      currency: order.currency,
+      items: refundItems,
+      includesShipping: includeShipping,
+      shippingAmount,
+      includesTax: includeTax,
+      taxAmount,
+      reason,
+      note,
+      provider: provider.name,
+      paymentReference: order.paymentId,
+      createdBy: actor,
+    })
+
+    try {
+      result = await provider.refund({
+        order,
+        paymentReference: order.paymentId,
+        amount: total,
+        currency: order.currency,
+        reason,
+      })
+    } catch (error) {
+      result = { status: "failed", failureReason: error.message }
+    }
+
+    if (result.status !== "succeeded") {
+      refund.status = "failed"
+      refund.failureReason = result.failureReason
+      await refund.save()
+
+      throw new ApiError(502, `The payment provider did not accept the refund: ${result.failureReason}`)
+    }
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedTotal: -total } })
+    throw error
+  }
+
+  refund.status = "succeeded"
+  refund.providerReference = result.reference
+  await refund.save()
+
+  try {
+    await issueCreditNote(reserved, refund)
+  } catch (error) {
+    // The refund has been paid, the credit note can be issued when first downloaded
+    console.error("Error issuing credit note:", error)
+  }
+
+  const updatedOrder = await syncRefundStatus(reserved, refund, { actor })
+
+  if (notify) {
+    await notifyRefund(updatedOrder, refund)
+  }
+
+  return { refund, order: updatedOrder }
+}
+
+// Cancel an order that has not been paid, or refund a paid one in full, which also restocks it before shipping
+// Orders with a payment in progress are left alone so a charge never lands on a cancelled order
+export const cancelOrRefundOrder = async (order, { actor = null, note, reason = "other" } = {}) => {
+  if (order.status === "pending") {
+    return transitionOrder(order, "cancelled", { actor, note, match: { paymentId: null } })
+  }
+
+  if (order.status !== "processing") {
+    throw new ApiError(400, "This order cannot be cancelled")
+  }
+
+  const { order: refundedOrder } = await refundOrder(order, {
+    amount: roundAmount(order.grandTotal - order.refundedTotal, order.currency),
+    reason,
+    note,
+    actor,
+  })
+
+  return refundedOrder
+}
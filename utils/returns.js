@@ -0,0 +1,219 @@
+import Order from "../models/order.model.js"
+import ReturnRequest from "../models/return-request.model.js"
+import { ApiError } from "./api-error.js"
+import { sendEmail } from "./email.js"
+import { roundAmount } from "./currency.js"
+import { getLineAmounts, refundOrder } from "./refunds.js"
+
+// Orders whose delivered items can still be sent back
+export const RETURNABLE_ORDER_STATUSES = ["delivered", "partially_refunded"]
+
+// Steps each return can move to, rejected and completed returns are final
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received"],
+  received: ["completed"],
+  rejected: [],
+  completed: [],
+}
+
+// Returns that still count against what is left to return
+const OPEN_RETURN_STATUSES = ["requested", "approved", "received", "completed"]
+
+// How long after delivery a return can be requested
+export const getReturnWindow = () => (Number(process.env.RETURN_WINDOW_DAYS) || 30) * 24 * 60 * 60 * 1000
+
+// When the order was delivered, from the latest delivered entry in its history
+export const getDeliveredAt = (order) => {
+  const delivered = order.statusHistory.filter((entry) => entry.status === "delivered")
+  return delivered.length > 0 ? delivered[delivered.length - 1].timestamp : null
+}
+
+// What the customer paid for one unit of an order line, after its share of the discount and with tax
+export const getUnitRefund = (order, orderItem) => {
+  const { amount, taxAmount } = getLineAmounts(order, orderItem, 1)
+  return amount + taxAmount
+}
+
+// Add up the quantity of each order line in the given returns
+const countReturnedQuantities = (returnRequests) => {
+  const quantities = new Map()
+
+  for (const returnRequest of returnRequests) {
+    for (const item of returnRequest.items) {
+      const key = item.orderItem.toString()
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity)
+    }
+  }
+
+  return quantities
+}
+
+// Check the order can still be returned and build the return lines, none returning more than is left
+export const buildReturnItems = async (order, requested) => {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new ApiError(400, "Only delivered orders can be returned")
+  }
+
+  const deliveredAt = getDeliveredAt(order) || order.updatedAt
+  if (Date.now() - deliveredAt.getTime() > getReturnWindow()) {
+    throw new ApiError(400, "The return window for this order has closed")
+  }
+
+  const existing = await ReturnRequest.find({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } })
+  const returned = countReturnedQuantities(existing)
+
+  const items = []
+  const errors = []
+
+  for (const line of requested) {
+    const orderItem = order.items.id(line.orderItem)
+
+    if (!orderItem) {
+      errors.push({ field: "items", message: `Order item ${line.orderItem} is not part of this order` })
+      continue
+    }
+
+    const remaining = orderItem.quantity - (returned.get(orderItem._id.toString()) || 0)
+    if (line.quantity > remaining) {
+      errors.push({
+        field: "items",
+        message:
+          remaining > 0
+            ? `Only ${remaining} of ${orderItem.name} can still be returned`
+            : `${orderItem.name} has already been returned`,
+      })
+      continue
+    }
+
+    items.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      name: orderItem.name,
+      sku: orderItem.sku,
+      quantity: line.quantity,
+      reason: line.reason,
+      unitRefund: getUnitRefund(order, orderItem),
+    })
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, "Some items cannot be returned", errors)
+  }
+
+  return items
+}
+
+// Refund for the returned items, never more than is left to refund on the order
+export const calculateRefund = (order, returnRequest) => {
+  const amount = returnRequest.items.reduce((total, item) => total + item.unitRefund * item.quantity, 0)
+  return roundAmount(Math.min(amount, order.grandTotal - order.refundedTotal), order.currency)
+}
+
+// Customer facing wording for each step of a return
+const RETURN_EMAILS = {
+  requested: {
+    subject: "We have received your return request",
+    text: (returnRequest) => `Your return ${returnRequest.rmaNumber} has been received and is waiting for review.`,
+  },
+  approved: {
+    subject: "Your return has been approved",
+    text: (returnRequest) =>
+      `Your return ${returnRequest.rmaNumber} has been approved. Please send the items back with the RMA number ` +
+      `on the package. Once they arrive we will refund ${returnRequest.refundAmount} ${returnRequest.currency}.`,
+  },
+  rejected: {
+    subject: "Your return has been declined",
+    text: (returnRequest) =>
+      `Your return ${returnRequest.rmaNumber} has been declined.` +
+      (returnRequest.rejectionReason ? ` Reason: ${returnRequest.rejectionReason}` : ""),
+  },
+  received: {
+    subject: "We have received your returned items",
+    text: (returnRequest) =>
+      `The items for return ${returnRequest.rmaNumber} have arrived. ` +
+      `${returnRequest.refundAmount} ${returnRequest.currency} has been refunded to you.`,
+  },
+  completed: {
+    subject: "Your return is complete",
+    text: (returnRequest) => `Your return ${returnRequest.rmaNumber} has been processed. Thank you.`,
+  },
+}
+
+// Tell the customer about a step of their return
+export const notifyReturn = async (returnRequest) => {
+  const email = RETURN_EMAILS[returnRequest.status]
+  if (!email) return
+
+  try {
+    await sendEmail({
+      to: returnRequest.email,
+      subject: `${email.subject} (${returnRequest.rmaNumber})`,
+      text: email.text(returnRequest),
+    })
+  } catch (error) {
+    // A failed email must not undo the return step
+    console.error("Error sending return email:", error)
+  }
+}
+
+// Move a return to its next step if nobody else moved it first, then email the customer
+export const advanceReturn = async (returnRequest, status, { note, notify = true, ...fields } = {}) => {
+  const from = returnRequest.status
+
+  if (!(RETURN_TRANSITIONS[from] || []).includes(status)) {
+    throw new ApiError(400, `Cannot change return status from ${from} to ${status}`)
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: from },
+    {
+      ...fields,
+      status,
+      $push: { statusHistory: { status, note: note || `Return ${status}` } },
+    },
+    { new: true },
+  )
+
+  if (!updated) {
+    throw new ApiError(409, "The return was changed by another request, reload it and try again")
+  }
+
+  // Rejected items can be returned again
+  if (status === "rejected") {
+    await Order.releaseItemQuantities(updated.order, "returnedQuantity", updated.items)
+  }
+
+  if (notify) {
+    await notifyReturn(updated)
+  }
+
+  return updated
+}
+
+// Pay back the refund of a received return through the refund ledger
+export const applyReturnRefund = async (returnRequest, { actor = null } = {}) => {
+  const order = await Order.findById(returnRequest.order)
+
+  if (!order) {
+    throw new ApiError(404, "Order not found")
+  }
+
+  if (returnRequest.refundAmount <= 0) {
+    return order
+  }
+
+  // The return restocks its own items and tells the customer about the refund
+  const { order: updatedOrder } = await refundOrder(order, {
+    items: returnRequest.items.map((item) => ({ orderItem: item.orderItem, quantity: item.quantity })),
+    amount: returnRequest.refundAmount,
+    reason: "return",
+    note: `Return ${returnRequest.rmaNumber}`,
+    actor,
+    returnRequest: returnRequest._id,
+    notify: false,
+  })
+
+  return updatedOrder
+}
@@ -0,0 +1,74 @@
+import Product from "../models/product.model.js"
+import ShippingMethod from "../models/shipping-method.model.js"
+import { ApiError } from "./api-error.js"
+import { convertAmount } from "./currency.js"
+
+// Work out the subtotal and total weight of the cart lines being shipped
+// The subtotal is converted back to the base currency that shipping rates and thresholds are entered in
+export const getCartShipment = async (cart) => {
+  const items = cart.getActiveItems()
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product._id || item.product) } }).select(
+    "weight variants",
+  )
+  const productsById = new Map(products.map((product) => [product.id, product]))
+
+  let weight = 0
+  for (const item of items) {
+    const product = productsById.get((item.product._id || item.product).toString())
+    if (!product) continue
+
+    // Variants carry their own weight, falling back to the product's weight
+    const variant = item.variant ? product.variants.id(item.variant) : null
+    weight += ((variant && variant.weight) || product.weight || 0) * item.quantity
+  }
+
+  const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0) / (cart.exchangeRate || 1)
+
+  return { subtotal, weight }
+}
+
+// Build a quote for a single method in the cart currency, or null when it cannot ship this cart to the address
+const toQuote = (method, shipment, address, pricing) => {
+  if (!method.coversAddress(address)) return null
+
+  const price = method.calculateRate(shipment)
+  if (price === null) return null
+
+  return {
+    method: method.code,
+    name: method.name,
+    description: method.description,
+    price: convertAmount(price, pricing),
+    currency: pricing.currency,
+    estimatedDeliveryDays: method.estimatedDeliveryDays,
+  }
+}
+
+// Get every shipping method that can deliver the cart to the address, cheapest first
+export const getShippingQuotes = async (cart, address) => {
+  const shipment = await getCartShipment(cart)
+  const pricing = cart.getPricing()
+  const methods = await ShippingMethod.find({ isActive: true }).sort({ sortOrder: 1, name: 1 })
+
+  return methods
+    .map((method) => toQuote(method, shipment, address, pricing))
+    .filter(Boolean)
+    .sort((a, b) => a.price - b.price)
+}
+
+// Quote the chosen shipping method, rejecting unknown or ineligible methods
+export const quoteShippingMethod = async (cart, address, code) => {
+  const method = await ShippingMethod.findOne({ code: String(code).toLowerCase(), isActive: true })
+
+  if (!method) {
+    throw new ApiError(400, "Unknown shipping method")
+  }
+
+  const quote = toQuote(method, await getCartShipment(cart), address, cart.getPricing())
+
+  if (!quote) {
+    throw new ApiError(400, `${method.name} is not available for this address or cart`)
+  }
+
+  return quote
+}
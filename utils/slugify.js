@@ -0,0 +1,31 @@
+// Convert a string into a URL-friendly slug
+export const slugify = (value) =>
+  value
+    .toString()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+
+// Generate a slug that is not yet used by another document of the given model
+export const generateUniqueSlug = async (Model, value, { excludeId = null, fields = ["slug"] } = {}) => {
+  const base = slugify(value) || "item"
+  let slug = base
+  let suffix = 1
+
+  const isTaken = (candidate) =>
+    Model.exists({
+      $or: fields.map((field) => ({ [field]: candidate })),
+      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    })
+
+  while (await isTaken(slug)) {
+    suffix += 1
+    slug = `${base}-${suffix}`
+  }
+
+  return slug
+}
@@ -0,0 +1,102 @@
+import StockReservation from "../models/stock-reservation.model.js"
+import { ApiError } from "./api-error.js"
+import { adjustStock, takeStock } from "./inventory.js"
+
+// How long stock is held for an order awaiting payment
+export const getReservationTtl = () => (Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15) * 60 * 1000
+
+// Put back the stock of every item in the list
+const restoreItems = async (items, context) => {
+  for (const item of items) {
+    await adjustStock(item.product, item.variant, item.quantity, context)
+  }
+}
+
+// Reserve stock for every order item, rolling back already reserved lines if any line fails
+export const reserveStock = async (orderId, items, actor = null) => {
+  const reserved = []
+  const rollback = { reason: "cancellation", actor, order: orderId, note: "Checkout failed, reservation rolled back" }
+
+  for (const item of items) {
+    const taken = await takeStock(item.product, item.variant, item.quantity, { reason: "sale", actor, order: orderId })
+
+    if (!taken) {
+      await restoreItems(reserved, rollback)
+      throw new ApiError(409, `Not enough stock for ${item.name || "a product"}`)
+    }
+
+    reserved.push(item)
+  }
+
+  try {
+    return await StockReservation.create({
+      order: orderId,
+      items: reserved.map(({ product, variant, quantity }) => ({ product, variant, quantity })),
+      expiresAt: new Date(Date.now() + getReservationTtl()),
+    })
+  } catch (error) {
+    await restoreItems(reserved, rollback)
+    throw error
+  }
+}
+
+// Keep the reserved stock for good once the order has been paid
+export const commitReservation = async (orderId) =>
+  StockReservation.findOneAndUpdate({ order: orderId, status: "active" }, { status: "committed" }, { new: true })
+
+// Check that the stock of an order is still held, even when the expiry sweep has not run yet
+// Orders placed before reservations existed have no record and keep their stock
+export const assertReservationHeld = async (orderId, now = new Date()) => {
+  const reservation = await StockReservation.findOne({ order: orderId })
+
+  if (reservation && (reservation.status !== "active" || reservation.expiresAt <= now)) {
+    throw new ApiError(409, "The stock held for this order has expired, please place the order again")
+  }
+}
+
+// Return the stock held by an order, whether it is still on hold or already committed
+export const releaseReservation = async (order, { actor = null, note } = {}) => {
+  const context = { reason: "cancellation", actor, order: order._id, note }
+
+  // Claim the reservation first so concurrent releases cannot restore it twice
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: { $in: ["active", "committed"] } },
+    { status: "released", releasedAt: new Date() },
+    { new: true },
+  )
+
+  if (reservation) {
+    await restoreItems(reservation.items, context)
+    return reservation
+  }
+
+  // Orders placed before reservations existed have no record, restore their items directly
+  const hasReservation = await StockReservation.exists({ order: order._id })
+  if (!hasReservation) {
+    await restoreItems(order.items, context)
+  }
+
+  return null
+}
+
+// Find holds whose payment did not complete in time
+export const findExpiredReservations = async (now = new Date()) =>
+  StockReservation.find({ status: "active", expiresAt: { $lte: now } }).select("_id order")
+
+// Return the stock of an expired hold, returning null when it was committed or released in the meantime
+export const expireReservation = async (reservationId) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { _id: reservationId, status: "active" },
+    { status: "expired", releasedAt: new Date() },
+    { new: true },
+  )
+  if (!reservation) return null
+
+  await restoreItems(reservation.items, {
+    reason: "cancellation",
+    order: reservation.order,
+    note: "Stock reservation expired",
+  })
+
+  return reservation
+}
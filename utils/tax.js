@@ -0,0 +1,93 @@
+import TaxRule from "../models/tax-rule.model.js"
+import { roundAmount } from "./currency.js"
+
+// Store wide tax settings
+export const getTaxSettings = () => ({
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === "true",
+})
+
+// Find the most specific active rule for each tax class at an address
+export const resolveTaxRules = async (address) => {
+  const rules = await TaxRule.find({ country: String(address.country || "").toUpperCase(), isActive: true })
+  const byClass = {}
+
+  for (const rule of rules) {
+    if (!rule.matches(address)) continue
+    const current = byClass[rule.taxClass]
+    if (!current || rule.getSpecificity() > current.getSpecificity()) {
+      byClass[rule.taxClass] = rule
+    }
+  }
+
+  return byClass
+}
+
+// Calculate tax per line and for shipping at the given address
+// Lines are { key, taxClass, amount } where amount is the line total after discounts
+export const calculateTax = async ({ lines, shippingTotal = 0, address, currency }) => {
+  const { pricesIncludeTax } = getTaxSettings()
+  const roundCurrency = (amount) => roundAmount(amount, currency)
+  const empty = { pricesIncludeTax, lines: [], shippingTax: 0, taxTotal: 0, breakdown: [] }
+
+  if (!address || !address.country) return empty
+
+  const rules = await resolveTaxRules(address)
+  const breakdown = new Map()
+
+  // Inclusive prices already contain the tax, so it is extracted instead of added
+  const taxOn = (amount, rate) =>
+    roundCurrency(pricesIncludeTax ? (amount * rate) / (100 + rate) : (amount * rate) / 100)
+
+  const addToBreakdown = (rule, taxableAmount, amount) => {
+    const key = rule.id
+    const entry = breakdown.get(key) || {
+      name: rule.name,
+      taxClass: rule.taxClass,
+      rate: rule.rate,
+      taxableAmount: 0,
+      amount: 0,
+    }
+    entry.taxableAmount = roundCurrency(entry.taxableAmount + taxableAmount)
+    entry.amount = roundCurrency(entry.amount + amount)
+    breakdown.set(key, entry)
+  }
+
+  const taxedLines = lines.map((line) => {
+    const taxClass = line.taxClass || "standard"
+    const rule = taxClass === "exempt" ? null : rules[taxClass]
+    if (!rule) {
+      return { key: line.key, taxClass, rate: 0, amount: 0 }
+    }
+
+    const amount = taxOn(line.amount, rule.rate)
+    addToBreakdown(rule, line.amount, amount)
+    return { key: line.key, taxClass, rate: rule.rate, amount, rule: rule.name }
+  })
+
+  // Shipping is taxed at the standard rate when that rule says so
+  let shippingTax = 0
+  const shippingRule = rules.standard
+  if (shippingRule && shippingRule.appliesToShipping && shippingTotal > 0) {
+    shippingTax = taxOn(shippingTotal, shippingRule.rate)
+    addToBreakdown(shippingRule, shippingTotal, shippingTax)
+  }
+
+  const taxTotal = roundCurrency(taxedLines.reduce((total, line) => total + line.amount, 0) + shippingTax)
+
+  return { pricesIncludeTax, lines: taxedLines, shippingTax, taxTotal, breakdown: [...breakdown.values()] }
+}
+
+// Spread an order level discount over the lines in proportion to their totals
+export const allocateDiscount = (lines, discount, currency) => {
+  const roundCurrency = (amount) => roundAmount(amount, currency)
+  const total = lines.reduce((sum, line) => sum + line.amount, 0)
+  if (!discount || total <= 0) return lines
+
+  let remaining = Math.min(discount, total)
+  return lines.map((line, index) => {
+    const share =
+      index === lines.length - 1 ? remaining : Math.min(remaining, roundCurrency((line.amount / total) * discount))
+    remaining = roundCurrency(remaining - share)
+    return { ...line, amount: roundCurrency(line.amount - share) }
+  })
+}
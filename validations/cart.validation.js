@@ -6,12 +6,7 @@ export const addToCartSchema = Joi.object({
     .regex(/^[0-9a-fA-F]{24}$/),
   variantId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
   quantity: Joi.number().required().min(1),
-  sessionId: Joi.string().when("$user", {
-    is: null,
-    then: Joi.required(),
-    otherwise: Joi.optional(),
-  }),
-}).with("sessionId", ["productId", "quantity"])
+})
 
 export const updateCartItemSchema = Joi.object({
   itemId: Joi.string()
@@ -19,9 +14,27 @@ export const updateCartItemSchema = Joi.object({
     .regex(/^[0-9a-fA-F]{24}$/),
   quantity: Joi.number().min(0),
   savedForLater: Joi.boolean(),
-  sessionId: Joi.string().when("$user", {
-    is: null,
-    then: Joi.required(),
-    otherwise: Joi.optional(),
-  }),
+})
+
+export const applyCouponSchema = Joi.object({
+  code: Joi.string().required().trim().max(50),
+})
+
+export const shippingQuoteSchema = Joi.object({
+  address: Joi.object({
+    country: Joi.string().required(),
+    state: Joi.string(),
+    postalCode: Joi.string(),
+    city: Joi.string(),
+  })
+    .unknown(true)
+    .required(),
+})
+
+export const cartEmailSchema = Joi.object({
+  email: Joi.string().required().email(),
+})
+
+export const cartCurrencySchema = Joi.object({
+  currency: Joi.string().required().length(3).uppercase(),
 })
@@ -0,0 +1,38 @@
+import Joi from "joi"
+
+const imageSchema = Joi.object({
+  url: Joi.string().required(),
+  alt: Joi.string(),
+})
+
+export const createCategorySchema = Joi.object({
+  name: Joi.string().required().trim().min(2).max(100),
+  description: Joi.string(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
+  parent: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .allow(null),
+  image: imageSchema,
+  isActive: Joi.boolean(),
+})
+
+export const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  description: Joi.string().allow(""),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
+  image: imageSchema,
+  isActive: Joi.boolean(),
+}).min(1)
+
+export const moveCategorySchema = Joi.object({
+  parent: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .required(),
+})
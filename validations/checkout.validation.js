@@ -0,0 +1,32 @@
+import Joi from "joi"
+import { addressSchema } from "./order.validation.js"
+
+export const createCheckoutSchema = Joi.object({
+  acknowledgePriceChanges: Joi.boolean(),
+})
+
+export const checkoutContactSchema = Joi.object({
+  email: Joi.string().required().email(),
+})
+
+export const checkoutShippingAddressSchema = Joi.object({
+  address: addressSchema.required(),
+})
+
+export const checkoutShippingMethodSchema = Joi.object({
+  code: Joi.string().required().trim(),
+})
+
+export const checkoutBillingAddressSchema = Joi.object({
+  address: addressSchema,
+  sameAsShipping: Joi.boolean(),
+}).xor("address", "sameAsShipping")
+
+export const checkoutPaymentSchema = Joi.object({
+  method: Joi.string().required(),
+  notes: Joi.string(),
+})
+
+export const completeCheckoutSchema = Joi.object({
+  acknowledgePriceChanges: Joi.boolean(),
+})
@@ -0,0 +1,7 @@
+import Joi from "joi"
+
+export const exchangeRateSchema = Joi.object({
+  currency: Joi.string().required().trim().length(3).uppercase(),
+  rate: Joi.number().required().greater(0),
+  isActive: Joi.boolean(),
+})
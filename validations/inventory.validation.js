@@ -0,0 +1,12 @@
+import Joi from "joi"
+
+export const stockAdjustmentSchema = Joi.object({
+  productId: Joi.string()
+    .required()
+    .regex(/^[0-9a-fA-F]{24}$/),
+  variantId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  delta: Joi.number().integer().not(0),
+  quantity: Joi.number().integer().min(0),
+  reason: Joi.string().valid("adjustment", "return").default("adjustment"),
+  note: Joi.string(),
+}).xor("delta", "quantity")
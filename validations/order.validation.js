@@ -1,6 +1,6 @@
 import Joi from "joi"
 
-const addressSchema = Joi.object({
+export const addressSchema = Joi.object({
   firstName: Joi.string().required(),
   lastName: Joi.string().required(),
   addressLine1: Joi.string().required(),
@@ -18,19 +18,16 @@ export const createOrderSchema = Joi.object({
   paymentMethod: Joi.string().required(),
   shippingMethod: Joi.string().required(),
   notes: Joi.string(),
+  acknowledgePriceChanges: Joi.boolean(),
   email: Joi.string().email().when("$user", {
     is: null,
     then: Joi.required(),
     otherwise: Joi.optional(),
   }),
-  sessionId: Joi.string().when("$user", {
-    is: null,
-    then: Joi.required(),
-    otherwise: Joi.optional(),
-  }),
 })
 
 export const updateOrderStatusSchema = Joi.object({
   status: Joi.string().required().valid("pending", "processing", "shipped", "delivered", "cancelled", "refunded"),
   note: Joi.string(),
+  trackingNumber: Joi.string().trim(),
 })
@@ -0,0 +1,21 @@
+import Joi from "joi"
+import { REFUND_REASONS } from "../models/refund.model.js"
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/)
+
+export const createRefundSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItem: objectId.required(),
+        quantity: Joi.number().integer().required().min(1),
+      }),
+    )
+    .unique("orderItem"),
+  includeShipping: Joi.boolean(),
+  includeTax: Joi.boolean(),
+  // Overrides the amount worked out from the lines and shipping, or refunds a set amount on its own
+  amount: Joi.number().greater(0),
+  reason: Joi.string().required().valid(...REFUND_REASONS),
+  note: Joi.string().trim().max(500),
+}).or("items", "includeShipping", "amount")
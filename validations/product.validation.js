@@ -1,10 +1,26 @@
 import Joi from "joi"
 
+// Explicit prices per currency, one entry per currency
+const localPricesSchema = Joi.array()
+  .items(
+    Joi.object({
+      currency: Joi.string().required().length(3).uppercase(),
+      price: Joi.number().required().min(0),
+      compareAtPrice: Joi.number().min(0),
+    }),
+  )
+  .unique("currency")
+
 export const productSchema = Joi.object({
   name: Joi.string().required().trim().min(3).max(100),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
   description: Joi.string().required(),
   price: Joi.number().required().min(0),
   compareAtPrice: Joi.number().min(0),
+  prices: localPricesSchema,
   category: Joi.string()
     .required()
     .regex(/^[0-9a-fA-F]{24}$/),
@@ -15,6 +31,7 @@ export const productSchema = Joi.object({
       color: Joi.string(),
       weight: Joi.number(),
       price: Joi.number().required().min(0),
+      prices: localPricesSchema,
       stock: Joi.number().required().min(0),
       sku: Joi.string().required(),
     }),
@@ -28,9 +45,18 @@ export const productSchema = Joi.object({
     }),
   ),
   stock: Joi.number().required().min(0),
+  lowStockThreshold: Joi.number().integer().min(0),
+  weight: Joi.number().min(0),
+  taxClass: Joi.string().valid("standard", "reduced", "exempt"),
   sku: Joi.string().required(),
   barcode: Joi.string(),
   tags: Joi.array().items(Joi.string()),
   featured: Joi.boolean(),
   status: Joi.string().valid("draft", "active", "archived"),
 })
+
+// Paging of the product listing and search, the listing also takes any facet filter
+export const productQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1),
+}).unknown(true)
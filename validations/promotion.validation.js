@@ -0,0 +1,52 @@
+import Joi from "joi"
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/)
+
+export const promotionSchema = Joi.object({
+  name: Joi.string().required().trim().min(3).max(100),
+  description: Joi.string(),
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .regex(/^[A-Z0-9_-]+$/)
+    .max(50),
+  type: Joi.string().required().valid("percentage", "fixed", "free_shipping", "buy_x_get_y"),
+  value: Joi.number()
+    .min(0)
+    .when("type", {
+      is: Joi.valid("percentage", "fixed"),
+      then: Joi.required(),
+    })
+    .when("type", {
+      is: "percentage",
+      then: Joi.number().max(100),
+    }),
+  minPurchase: Joi.number().min(0),
+  maxDiscount: Joi.number().min(0),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().required().greater(Joi.ref("startDate")),
+  isActive: Joi.boolean(),
+  usageLimit: Joi.object({
+    perUser: Joi.number().integer().min(1).allow(null),
+    total: Joi.number().integer().min(1).allow(null),
+  }),
+  applicableTo: Joi.object({
+    products: Joi.array().items(objectId),
+    categories: Joi.array().items(objectId),
+    customerGroups: Joi.array().items(Joi.string().valid("regular", "vip", "wholesale")),
+  }),
+  conditions: Joi.object({
+    buyX: Joi.object({
+      product: objectId.required(),
+      quantity: Joi.number().integer().required().min(1),
+    }),
+    getY: Joi.object({
+      product: objectId.required(),
+      quantity: Joi.number().integer().required().min(1),
+      discount: Joi.number().min(0).max(100),
+    }),
+  }).when("type", {
+    is: "buy_x_get_y",
+    then: Joi.object({ buyX: Joi.required(), getY: Joi.required() }).required(),
+  }),
+})
@@ -0,0 +1,31 @@
+import Joi from "joi"
+import { RETURN_REASONS } from "../models/return-request.model.js"
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/)
+
+export const createReturnSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItem: objectId.required(),
+        quantity: Joi.number().integer().required().min(1),
+        reason: Joi.string().required().valid(...RETURN_REASONS),
+      }),
+    )
+    .required()
+    .min(1)
+    .unique("orderItem"),
+  comments: Joi.string().trim().max(2000),
+})
+
+export const returnNoteSchema = Joi.object({
+  note: Joi.string(),
+})
+
+export const rejectReturnSchema = Joi.object({
+  reason: Joi.string().required(),
+})
+
+export const resolveReturnItemSchema = Joi.object({
+  resolution: Joi.string().required().valid("restocked", "written_off"),
+})
@@ -0,0 +1,26 @@
+import Joi from "joi"
+
+export const createReviewSchema = Joi.object({
+  rating: Joi.number().integer().required().min(1).max(5),
+  title: Joi.string().trim().max(150),
+  body: Joi.string().trim().max(5000),
+})
+
+export const updateReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().max(150).allow(""),
+  body: Joi.string().trim().max(5000).allow(""),
+}).min(1)
+
+export const moderateReviewSchema = Joi.object({
+  status: Joi.string().required().valid("pending", "approved", "rejected"),
+  note: Joi.string(),
+})
+
+export const reviewQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1),
+  sort: Joi.string(),
+  rating: Joi.number().integer().min(1).max(5),
+  status: Joi.string().valid("pending", "approved", "rejected"),
+})
@@ -0,0 +1,34 @@
+import Joi from "joi"
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/)
+
+export const createShipmentSchema = Joi.object({
+  // Leave out to ship everything not yet in a shipment
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItem: objectId.required(),
+        quantity: Joi.number().integer().required().min(1),
+      }),
+    )
+    .min(1)
+    .unique("orderItem"),
+  carrier: Joi.string().trim(),
+  // Shipments go out straight away unless created as pending, which needs no tracking number yet
+  trackingNumber: Joi.string().trim().when("status", {
+    is: "pending",
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
+  trackingUrl: Joi.string().uri(),
+  status: Joi.string().valid("pending", "shipped"),
+  notes: Joi.string(),
+})
+
+export const updateShipmentSchema = Joi.object({
+  carrier: Joi.string().trim(),
+  trackingNumber: Joi.string().trim(),
+  trackingUrl: Joi.string().uri(),
+  status: Joi.string().valid("shipped", "delivered"),
+  notes: Joi.string(),
+}).min(1)
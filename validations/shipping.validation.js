@@ -0,0 +1,42 @@
+import Joi from "joi"
+
+const rateSchema = Joi.object({
+  min: Joi.number().min(0),
+  max: Joi.number().greater(Joi.ref("min")).allow(null),
+  rate: Joi.number().required().min(0),
+})
+
+export const shippingMethodSchema = Joi.object({
+  name: Joi.string().required().trim().max(100),
+  code: Joi.string()
+    .required()
+    .trim()
+    .lowercase()
+    .regex(/^[a-z0-9_-]+$/),
+  description: Joi.string(),
+  zones: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string(),
+        countries: Joi.array().items(Joi.string().length(2)).min(1).required(),
+        states: Joi.array().items(Joi.string()),
+      }),
+    )
+    .min(1)
+    .required(),
+  rateType: Joi.string().valid("flat", "weight", "order_value"),
+  flatRate: Joi.number().min(0),
+  rates: Joi.array()
+    .items(rateSchema)
+    .when("rateType", {
+      is: Joi.valid("weight", "order_value"),
+      then: Joi.array().min(1).required(),
+    }),
+  freeShippingThreshold: Joi.number().min(0).allow(null),
+  estimatedDeliveryDays: Joi.object({
+    min: Joi.number().integer().min(0),
+    max: Joi.number().integer().min(Joi.ref("min")),
+  }),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer(),
+})
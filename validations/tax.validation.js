@@ -0,0 +1,16 @@
+import Joi from "joi"
+
+export const taxRuleSchema = Joi.object({
+  name: Joi.string().required().trim().max(100),
+  country: Joi.string()
+    .required()
+    .trim()
+    .length(2)
+    .uppercase(),
+  state: Joi.string().trim().max(50).allow(null),
+  postalPrefix: Joi.string().trim().max(20).allow(null),
+  taxClass: Joi.string().valid("standard", "reduced", "exempt"),
+  rate: Joi.number().required().min(0).max(100),
+  appliesToShipping: Joi.boolean(),
+  isActive: Joi.boolean(),
+})